@@ -0,0 +1,78 @@
+// GraphQL queries and mutations for collection membership
+
+export const FIND_COLLECTION_BY_HANDLE = `#graphql
+  query findCollectionByHandle($handle: String!) {
+    collectionByHandle(handle: $handle) {
+      id
+      handle
+      title
+      ruleSet {
+        appliedDisjunctively
+      }
+    }
+  }
+`;
+
+export const FIND_COLLECTIONS_BY_TITLE = `#graphql
+  query findCollectionsByTitle($query: String!) {
+    collections(first: 10, query: $query) {
+      edges {
+        node {
+          id
+          handle
+          title
+          ruleSet {
+            appliedDisjunctively
+          }
+        }
+      }
+    }
+  }
+`;
+
+export const GET_PRODUCT_COLLECTIONS = `#graphql
+  query getProductCollections($id: ID!) {
+    product(id: $id) {
+      collections(first: 250) {
+        edges {
+          node {
+            id
+            handle
+            title
+            ruleSet {
+              appliedDisjunctively
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+export const ADD_PRODUCTS_TO_COLLECTION = `#graphql
+  mutation collectionAddProducts($id: ID!, $productIds: [ID!]!) {
+    collectionAddProducts(id: $id, productIds: $productIds) {
+      collection {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+export const REMOVE_PRODUCTS_FROM_COLLECTION = `#graphql
+  mutation collectionRemoveProducts($id: ID!, $productIds: [ID!]!) {
+    collectionRemoveProducts(id: $id, productIds: $productIds) {
+      job {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
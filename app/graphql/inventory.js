@@ -0,0 +1,80 @@
+// GraphQL queries and mutations for inventory operations
+
+export const GET_LOCATIONS = `#graphql
+  query getLocations {
+    locations(first: 250, includeInactive: false) {
+      edges {
+        node {
+          id
+          name
+        }
+      }
+    }
+  }
+`;
+
+export const GET_INVENTORY_BY_SKU = `#graphql
+  query getInventoryBySku($query: String!) {
+    productVariants(first: 5, query: $query) {
+      edges {
+        node {
+          id
+          sku
+          product {
+            id
+            handle
+            title
+          }
+          inventoryItem {
+            id
+            tracked
+            inventoryLevels(first: 50) {
+              edges {
+                node {
+                  location {
+                    id
+                    name
+                  }
+                  quantities(names: ["available"]) {
+                    name
+                    quantity
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+export const SET_INVENTORY_QUANTITIES = `#graphql
+  mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
+    inventorySetQuantities(input: $input) {
+      inventoryAdjustmentGroup {
+        id
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+export const ADJUST_INVENTORY_QUANTITIES = `#graphql
+  mutation inventoryAdjustQuantities($input: InventoryAdjustQuantitiesInput!) {
+    inventoryAdjustQuantities(input: $input) {
+      inventoryAdjustmentGroup {
+        id
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
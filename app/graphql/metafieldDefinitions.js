@@ -0,0 +1,48 @@
+// GraphQL queries and mutations for metafield definitions
+
+export const GET_PRODUCT_METAFIELD_DEFINITIONS = `#graphql
+  query getProductMetafieldDefinitions($after: String) {
+    metafieldDefinitions(first: 250, after: $after, ownerType: PRODUCT) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      edges {
+        node {
+          id
+          name
+          namespace
+          key
+          type {
+            name
+          }
+          validations {
+            name
+            value
+          }
+        }
+      }
+    }
+  }
+`;
+
+export const CREATE_METAFIELD_DEFINITION = `#graphql
+  mutation metafieldDefinitionCreate($definition: MetafieldDefinitionInput!) {
+    metafieldDefinitionCreate(definition: $definition) {
+      createdDefinition {
+        id
+        name
+        namespace
+        key
+        type {
+          name
+        }
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
@@ -6,6 +6,7 @@ export const GET_PRODUCT_BY_HANDLE = `#graphql
       id
       handle
       title
+      status
       tags
       metafields(first: 250) {
         edges {
@@ -125,3 +126,153 @@ export const UPDATE_PRODUCT_METAFIELDS = `#graphql
     }
   }
 `;
+
+// Product fields needed for an update, shared by the match-key lookups below
+// (the same fields GET_PRODUCT_BY_HANDLE returns)
+const PRODUCT_MATCH_FIELDS = `
+  id
+  handle
+  title
+  status
+  tags
+  metafields(first: 250) {
+    edges {
+      node {
+        id
+        namespace
+        key
+        value
+        type
+      }
+    }
+  }
+`;
+
+export const GET_PRODUCT_BY_ID = `#graphql
+  query getProductById($id: ID!) {
+    product(id: $id) {
+      ${PRODUCT_MATCH_FIELDS}
+    }
+  }
+`;
+
+export const FIND_PRODUCTS_BY_VARIANT = `#graphql
+  query findProductsByVariant($query: String!) {
+    productVariants(first: 10, query: $query) {
+      edges {
+        node {
+          sku
+          barcode
+          product {
+            ${PRODUCT_MATCH_FIELDS}
+          }
+        }
+      }
+    }
+  }
+`;
+
+export const FIND_PRODUCTS_BY_METAFIELD = `#graphql
+  query findProductsByMetafield($query: String!, $namespace: String!, $key: String!) {
+    products(first: 10, query: $query) {
+      edges {
+        node {
+          ${PRODUCT_MATCH_FIELDS}
+          matchMetafield: metafield(namespace: $namespace, key: $key) {
+            value
+          }
+        }
+      }
+    }
+  }
+`;
+
+export const CREATE_PRODUCT = `#graphql
+  mutation productCreate($product: ProductCreateInput!) {
+    productCreate(product: $product) {
+      product {
+        id
+        handle
+        title
+        status
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+export const DUPLICATE_PRODUCT = `#graphql
+  mutation productDuplicate($productId: ID!, $newTitle: String!, $newStatus: ProductStatus) {
+    productDuplicate(productId: $productId, newTitle: $newTitle, newStatus: $newStatus, includeImages: true) {
+      newProduct {
+        id
+        handle
+        title
+        tags
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+export const DELETE_PRODUCT = `#graphql
+  mutation productDelete($input: ProductDeleteInput!) {
+    productDelete(input: $input) {
+      deletedProductId
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+export const ADD_TAGS = `#graphql
+  mutation tagsAdd($id: ID!, $tags: [String!]!) {
+    tagsAdd(id: $id, tags: $tags) {
+      node {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+export const REMOVE_TAGS = `#graphql
+  mutation tagsRemove($id: ID!, $tags: [String!]!) {
+    tagsRemove(id: $id, tags: $tags) {
+      node {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+export const DELETE_METAFIELDS = `#graphql
+  mutation metafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
+    metafieldsDelete(metafields: $metafields) {
+      deletedMetafields {
+        ownerId
+        namespace
+        key
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
@@ -0,0 +1,56 @@
+// GraphQL queries and mutations for metaobject entries
+
+export const GET_METAOBJECT_DEFINITION_BY_TYPE = `#graphql
+  query getMetaobjectDefinitionByType($type: String!) {
+    metaobjectDefinitionByType(type: $type) {
+      id
+      type
+      name
+      fieldDefinitions {
+        key
+        name
+        required
+        type {
+          name
+        }
+        validations {
+          name
+          value
+        }
+      }
+    }
+  }
+`;
+
+export const GET_METAOBJECT_BY_HANDLE = `#graphql
+  query getMetaobjectByHandle($handle: MetaobjectHandleInput!) {
+    metaobjectByHandle(handle: $handle) {
+      id
+      handle
+      type
+      displayName
+      fields {
+        key
+        value
+      }
+    }
+  }
+`;
+
+export const UPSERT_METAOBJECT = `#graphql
+  mutation metaobjectUpsert($handle: MetaobjectHandleInput!, $metaobject: MetaobjectUpsertInput!) {
+    metaobjectUpsert(handle: $handle, metaobject: $metaobject) {
+      metaobject {
+        id
+        handle
+        type
+        displayName
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
@@ -0,0 +1,82 @@
+// GraphQL queries for resolving reference metafield values to GIDs
+
+export const FIND_PRODUCT_REFERENCE = `#graphql
+  query findProductReference($handle: String!) {
+    productByHandle(handle: $handle) {
+      id
+    }
+  }
+`;
+
+export const FIND_VARIANT_REFERENCE = `#graphql
+  query findVariantReference($query: String!) {
+    productVariants(first: 10, query: $query) {
+      edges {
+        node {
+          id
+          sku
+        }
+      }
+    }
+  }
+`;
+
+export const FIND_COLLECTION_REFERENCE = `#graphql
+  query findCollectionReference($handle: String!) {
+    collectionByHandle(handle: $handle) {
+      id
+    }
+  }
+`;
+
+export const FIND_PAGE_REFERENCE = `#graphql
+  query findPageReference($query: String!) {
+    pages(first: 10, query: $query) {
+      edges {
+        node {
+          id
+          handle
+        }
+      }
+    }
+  }
+`;
+
+export const FIND_FILE_REFERENCE = `#graphql
+  query findFileReference($query: String!) {
+    files(first: 10, query: $query) {
+      edges {
+        node {
+          id
+          ... on MediaImage {
+            image {
+              url
+            }
+          }
+          ... on GenericFile {
+            url
+          }
+          ... on Video {
+            filename
+          }
+        }
+      }
+    }
+  }
+`;
+
+export const FIND_METAOBJECT_REFERENCE = `#graphql
+  query findMetaobjectReference($handle: MetaobjectHandleInput!) {
+    metaobjectByHandle(handle: $handle) {
+      id
+    }
+  }
+`;
+
+export const FIND_METAOBJECT_DEFINITION_TYPE = `#graphql
+  query findMetaobjectDefinitionType($id: ID!) {
+    metaobjectDefinition(id: $id) {
+      type
+    }
+  }
+`;
@@ -0,0 +1,76 @@
+// GraphQL queries and mutations for variant operations
+
+const VARIANT_FIELDS = `
+  id
+  title
+  sku
+  barcode
+  price
+  compareAtPrice
+  inventoryPolicy
+  selectedOptions {
+    name
+    value
+  }
+  inventoryItem {
+    measurement {
+      weight {
+        unit
+        value
+      }
+    }
+  }
+`;
+
+export const GET_PRODUCT_VARIANTS_BY_HANDLE = `#graphql
+  query getProductVariantsByHandle($handle: String!) {
+    productByHandle(handle: $handle) {
+      id
+      handle
+      title
+      variants(first: 250) {
+        edges {
+          node {
+            ${VARIANT_FIELDS}
+          }
+        }
+      }
+    }
+  }
+`;
+
+export const GET_VARIANTS_BY_SKU = `#graphql
+  query getVariantsBySku($query: String!) {
+    productVariants(first: 5, query: $query) {
+      edges {
+        node {
+          ${VARIANT_FIELDS}
+          product {
+            id
+            handle
+            title
+          }
+        }
+      }
+    }
+  }
+`;
+
+export const UPDATE_PRODUCT_VARIANTS = `#graphql
+  mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+    productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+      productVariants {
+        id
+        sku
+        barcode
+        price
+        compareAtPrice
+        inventoryPolicy
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
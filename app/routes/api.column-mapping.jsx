@@ -0,0 +1,77 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { readFileHeaders } from "../utils/csvProcessor";
+import { getProductMetafieldDefinitions } from "../utils/metafieldDefinitions";
+import {
+  findColumnMappingPreset,
+  listColumnMappingPresets,
+  saveColumnMappingPreset,
+  deleteColumnMappingPreset,
+  parseColumnMapping
+} from "../utils/columnMappingPresets.server";
+import { parseUploadFormData, removeUploadedFile } from "../utils/uploadHandler.server";
+
+// Column mapping step: read an upload's headers, and save/delete the shop's mapping presets
+// intent=headers: file (+ sheetName) -> headers, worksheets, the preset saved for these headers
+//   and the shop's metafield definition keys (a bare namespace.key header needs one)
+// intent=save: name, headers (JSON array), columnMapping (JSON object)
+// intent=delete: presetId
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  let file = null;
+
+  try {
+    const formData = await parseUploadFormData(request);
+    const intent = formData.get("intent");
+
+    if (intent === "headers") {
+      file = formData.get("file");
+      if (!file) {
+        return json({ error: "No file provided" }, { status: 400 });
+      }
+
+      const sheetName = formData.get("sheetName") || undefined;
+      const { headers, sheetNames } = await readFileHeaders(file, { sheetName });
+
+      return json({
+        headers,
+        sheetNames,
+        preset: await findColumnMappingPreset(shop, headers),
+        presets: await listColumnMappingPresets(shop),
+        definitionKeys: [...(await getProductMetafieldDefinitions(admin)).keys()]
+      });
+    }
+
+    if (intent === "save") {
+      const headers = JSON.parse(formData.get("headers") || "[]");
+      const mapping = parseColumnMapping(formData.get("columnMapping")) || {};
+      const preset = await saveColumnMappingPreset(shop, formData.get("name"), headers, mapping);
+
+      console.log(`Saved column mapping preset '${preset.name}' for ${shop}`);
+
+      return json({ preset, presets: await listColumnMappingPresets(shop) });
+    }
+
+    if (intent === "delete") {
+      await deleteColumnMappingPreset(shop, formData.get("presetId"));
+      return json({ presets: await listColumnMappingPresets(shop) });
+    }
+
+    return json({ error: `Unknown intent '${intent}'` }, { status: 400 });
+  } catch (error) {
+    console.error("Column mapping error:", error);
+    return json({
+      error: "Column mapping failed",
+      details: error.message,
+      sheetNames: error.sheetNames
+    }, { status: 400 });
+  } finally {
+    await removeUploadedFile(file);
+  }
+};
+
+export const loader = async () => {
+  return json({ error: "Method not allowed" }, { status: 405 });
+};
@@ -24,6 +24,10 @@ export const loader = async ({ request }) => {
     processed: job.processed,
     errors: job.errors || [],
     success: job.success || [],
+    // Large jobs keep only the first entries of errors and success; these count them all
+    errorCount: job.errorCount ?? (job.errors || []).length,
+    successCount: job.successCount ?? (job.success || []).length,
+    quarantinedCount: job.quarantinedCount || 0,
     createdAt: job.createdAt,
     startedAt: job.startedAt,
     completedAt: job.completedAt,
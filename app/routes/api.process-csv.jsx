@@ -2,25 +2,125 @@ import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
 import {
   parseCSV,
+  scanCSVStream,
   groupDataByHandle,
-  createBatches,
-  validateMetafieldValue,
-  formatMetafieldValue,
-  getOptimalBatchSize,
-  calculateDelay,
-  RATE_LIMIT_CONFIG
+  isStreamableFile,
+  STREAMING_THRESHOLD_BYTES,
+  DESTRUCTIVE_ACTIONS
 } from "../utils/csvProcessor";
-import { GET_PRODUCT_BY_HANDLE, SET_METAFIELDS, UPDATE_PRODUCT_PROPERTIES } from "../graphql/metafields";
+import { processGroupedData } from "../utils/productProcessor";
 import { jobQueue } from "../utils/jobQueue";
 import { processCSVInBackground } from "../utils/csvBackgroundProcessor";
+import { parseUploadFormData, removeUploadedFile } from "../utils/uploadHandler.server";
+import { parseColumnMapping } from "../utils/columnMappingPresets.server";
+import { parseMatchKey } from "../utils/matchKey";
+import { parseTagMode } from "../utils/tagMode";
+import { parseCollectionMode } from "../utils/collectionMode";
+import { parseUnitNormalization } from "../utils/unitNormalizer";
+import {
+  parseDefinitionsToCreate,
+  createMetafieldDefinitions,
+  getProductMetafieldDefinitions
+} from "../utils/metafieldDefinitions";
+
+/**
+ * The row numbers of the archive/delete rows the user reviewed and confirmed
+ */
+function parseConfirmedRows(value) {
+  if (!value) return new Set();
+  try {
+    const rows = JSON.parse(value);
+    return new Set(Array.isArray(rows) ? rows.map(Number) : []);
+  } catch {
+    return new Set();
+  }
+}
+
+/**
+ * The response that stops an import which archives or deletes products until the user
+ * has confirmed every one of those rows. Confirming only covers the rows the user was
+ * shown, so a file with more destructive rows than could be listed can't be confirmed.
+ */
+function confirmationRequired(destructive, count = destructive.length) {
+  if (count > destructive.length) {
+    return json({
+      error: "Too many destructive actions to review",
+      details: [`${count} rows archive or delete products, more than can be listed for review. Split the file so every archived or deleted product can be reviewed.`]
+    }, { status: 400 });
+  }
+
+  return json({
+    error: "Destructive actions need confirmation",
+    details: [`${count} rows archive or delete products. Review them and confirm to apply.`],
+    requiresConfirmation: true,
+    destructive
+  }, { status: 400 });
+}
+
+/**
+ * Whether the user confirmed every destructive row in the file (not just the ones a preview showed)
+ */
+function allConfirmed(destructive, count, confirmedRows) {
+  return destructive.length === count && destructive.every(item => confirmedRows.has(item.row));
+}
+
+/**
+ * Create the metafield definitions the user chose. Called once the file has passed
+ * validation and confirmation, but before any value is written, so the values are
+ * stored with their types. Returns { definitionsCreated }, plus an error response
+ * when a definition couldn't be created.
+ */
+async function createChosenDefinitions(admin, definitionsToCreate, dryRun) {
+  if (dryRun || definitionsToCreate.length === 0) {
+    return { definitionsCreated: [] };
+  }
+
+  const { created, errors } = await createMetafieldDefinitions(admin, definitionsToCreate);
+  if (errors.length > 0) {
+    return {
+      definitionsCreated: created,
+      errorResponse: json({
+        error: "Metafield definitions could not be created",
+        details: errors,
+        definitionsCreated: created
+      }, { status: 400 })
+    };
+  }
+
+  return { definitionsCreated: created };
+}
 
 export const action = async ({ request }) => {
   const { admin } = await authenticate.admin(request);
 
+  // Set once the upload has been handed to a background job, which then owns the temp file
+  let file = null;
+  let handedToBackground = false;
+
   try {
-    const formData = await request.formData();
-    const file = formData.get("file");
+    const formData = await parseUploadFormData(request);
+    file = formData.get("file");
     const dryRun = formData.get("dryRun") === "true";
+    const sheetName = formData.get("sheetName") || undefined;
+    // Partial-accept: apply the rows that validate and quarantine the rest
+    const partialAccept = formData.get("partialAccept") === "true";
+    // Header -> column mapping chosen in the mapping step (or from a saved preset)
+    const columnMapping = parseColumnMapping(formData.get("columnMapping"));
+    // Column that identifies the product: handle (default), id, sku, barcode or metafield:ns.key
+    const matchKey = formData.get("matchKey") || undefined;
+    parseMatchKey(matchKey); // Reject an invalid key before any work is queued
+    // Upsert: create products whose handle isn't found instead of reporting an error
+    const upsert = formData.get("upsert") === "true";
+    // How Tags values change the product's tags: merge (default), replace or remove
+    const tagMode = parseTagMode(formData.get("tagMode"));
+    // How Collections values change the product's collections: merge (default), replace or remove
+    const collectionMode = parseCollectionMode(formData.get("collectionMode"));
+    // Units to convert concentrations, volumes and unit packs to (off when not sent)
+    const unitNormalization = parseUnitNormalization(formData.get("unitNormalization"));
+    // Archive and delete rows are only applied once the user has confirmed each of them
+    const confirmedRows = parseConfirmedRows(formData.get("confirmDestructiveRows"));
+    // Metafield definitions the user chose to create from the preview's list of keys without one
+    const definitionsToCreate = parseDefinitionsToCreate(formData.get("createDefinitions"));
 
     if (!file) {
       return json({ error: "No file provided" }, { status: 400 });
@@ -28,8 +128,87 @@ export const action = async ({ request }) => {
 
     console.log(`Starting CSV processing - Dry run: ${dryRun}, File size: ${file.size} bytes`);
 
+    // A bare namespace.key header is a metafield column when the shop has a definition for it
+    const definitionKeys = [...(await getProductMetafieldDefinitions(admin)).keys()];
+
+    // Files too large to parse in memory are streamed straight into a background job
+    if (!dryRun && file.size > STREAMING_THRESHOLD_BYTES && isStreamableFile(file)) {
+      console.log(`Large file detected (${file.size} bytes). Validating the whole stream before processing...`);
+
+      // Streamed files are applied chunk by chunk, so every row is validated first: an
+      // invalid row further down must not stop the job after earlier rows were written
+      const scan = await scanCSVStream(file, { columnMapping, matchKey, unitNormalization, definitionKeys });
+
+      if (scan.errorCount > 0 && !partialAccept) {
+        const more = scan.errorCount - scan.errors.length;
+        return json({
+          error: "CSV validation failed",
+          details: [
+            `${scan.errorCount} validation errors in ${scan.rows} rows. Fix them, or choose "Skip invalid rows" to apply the valid rows only.`,
+            ...scan.errors,
+            ...(more > 0 ? [`...and ${more} more`] : [])
+          ]
+        }, { status: 400 });
+      }
+
+      // Stop before queuing anything if the file archives or deletes products without confirmation
+      const confirmDestructive = scan.destructiveCount > 0 &&
+        allConfirmed(scan.destructive, scan.destructiveCount, confirmedRows);
+      if (scan.destructiveCount > 0 && !confirmDestructive) {
+        return confirmationRequired(scan.destructive, scan.destructiveCount);
+      }
+
+      const { definitionsCreated, errorResponse } = await createChosenDefinitions(admin, definitionsToCreate, dryRun);
+      if (errorResponse) return errorResponse;
+
+      console.log(`Stream validated (${scan.rows} rows, ${scan.errorCount} errors). Streaming into background processing...`);
+
+      const jobId = jobQueue.createJob('csv-processing', {
+        fileName: file.name,
+        fileSize: file.size,
+        dryRun,
+        streamed: true
+      });
+
+      handedToBackground = true;
+      processCSVInBackground(admin, file, dryRun, jobId, {
+        sheetName,
+        partialAccept,
+        columnMapping,
+        matchKey,
+        unitNormalization,
+        definitionKeys,
+        upsert,
+        confirmDestructive,
+        tagMode,
+        collectionMode,
+        definitionsCreated,
+        warnings: scan.warnings
+      }).catch(error => {
+        console.error(`Background job ${jobId} failed:`, error);
+        jobQueue.failJob(jobId, error);
+      });
+
+      return json({
+        success: true,
+        backgroundProcessing: true,
+        jobId,
+        message: `Streaming ${(file.size / (1024 * 1024)).toFixed(1)} MB file in background. Use job ID ${jobId} to check status.`,
+        totalProducts: null,
+        estimatedTime: 'several minutes'
+      });
+    }
+
     // Parse CSV file with preview option
-    const csvData = await parseCSV(file, { preview: dryRun });
+    const csvData = await parseCSV(file, {
+      preview: dryRun,
+      sheetName,
+      partial: partialAccept,
+      columnMapping,
+      matchKey,
+      unitNormalization,
+      definitionKeys
+    });
 
     if (csvData.errors.length > 0) {
       return json({
@@ -38,7 +217,8 @@ export const action = async ({ request }) => {
       }, { status: 400 });
     }
 
-    const { data, format } = csvData.data;
+    const { data, format, rejected = [], warnings = [] } = csvData.data;
+    const { encoding, encodingIssues = [], sheetNames } = csvData.meta;
 
     // Group data by product handle
     const groupedData = groupDataByHandle(data, format);
@@ -46,27 +226,61 @@ export const action = async ({ request }) => {
 
     console.log(`Found ${handles.length} unique product handles to process`);
 
+    if (rejected.length > 0) {
+      console.log(`Quarantined ${rejected.length} invalid rows, continuing with ${data.length} valid rows`);
+    }
+
+    // Stop before applying anything if the file archives or deletes products without confirmation
+    const destructive = format === 'products'
+      ? data
+        .filter(row => DESTRUCTIVE_ACTIONS.includes(row.action))
+        .map(row => ({ row: row.row, handle: row.matchValue || row.handle, action: row.action }))
+      : [];
+    const confirmDestructive = destructive.length > 0 &&
+      allConfirmed(destructive, destructive.length, confirmedRows);
+    if (!dryRun && destructive.length > 0 && !confirmDestructive) {
+      return confirmationRequired(destructive);
+    }
+
     if (handles.length === 0) {
       return json({
         error: "No valid product handles found in CSV",
-        results: { processed: 0, errors: [], success: [] }
+        details: rejected.flatMap(row => row.errors),
+        results: { processed: 0, errors: [], success: [], quarantined: rejected }
       }, { status: 400 });
     }
 
+    const { definitionsCreated, errorResponse } = await createChosenDefinitions(admin, definitionsToCreate, dryRun);
+    if (errorResponse) return errorResponse;
+
     // For large datasets in production mode, use background processing
     if (!dryRun && handles.length > 50) {
       console.log(`Large dataset detected (${handles.length} products). Starting background processing...`);
 
       // Create background job
       const jobId = jobQueue.createJob('csv-processing', {
-        fileContent: await file.text(), // Store file content
+        fileName: file.name,
+        fileSize: file.size,
         dryRun,
         format,
         totalProducts: handles.length
       });
 
       // Start background processing (don't await)
-      processCSVInBackground(admin, file, dryRun, jobId).catch(error => {
+      handedToBackground = true;
+      processCSVInBackground(admin, file, dryRun, jobId, {
+        sheetName,
+        partialAccept,
+        columnMapping,
+        matchKey,
+        unitNormalization,
+        definitionKeys,
+        upsert,
+        confirmDestructive,
+        tagMode,
+        collectionMode,
+        definitionsCreated
+      }).catch(error => {
         console.error(`Background job ${jobId} failed:`, error);
         jobQueue.failJob(jobId, error);
       });
@@ -86,16 +300,23 @@ export const action = async ({ request }) => {
       processed: 0,
       errors: [],
       success: [],
+      created: [],
+      missingDefinitions: [],
+      definitionsCreated,
       total: handles.length,
-      format
+      format,
+      encoding,
+      encodingIssues,
+      sheetName: csvData.meta.sheetName,
+      sheetNames,
+      inputFormat: csvData.meta.inputFormat || 'csv',
+      validRows: data.length,
+      quarantined: rejected,
+      warnings,
+      repaired: csvData.meta.repaired || false,
+      repairReasons: csvData.meta.repairReasons || []
     };
 
-    // Process in batches to respect rate limits with adaptive sizing
-    const optimalBatchSize = getOptimalBatchSize(handles.length);
-    const batches = createBatches(handles, optimalBatchSize);
-
-    console.log(`Processing ${handles.length} products in ${batches.length} batches of size ${optimalBatchSize}`);
-
     // For very large datasets in production mode, warn about processing time
     if (!dryRun && handles.length > 100) {
       console.log(`WARNING: Processing ${handles.length} products may take 15-30 minutes. Using ultra-conservative batch sizes to prevent timeouts.`);
@@ -106,82 +327,7 @@ export const action = async ({ request }) => {
       console.error('Processing timeout reached - this may indicate a hanging process');
     }, 5 * 60 * 1000); // 5 minutes timeout for faster failure detection
 
-    for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-      const batch = batches[batchIndex];
-      const batchPromises = batch.map(async (handle) => {
-        try {
-          // Get product by handle with retry logic
-          const productResponse = await admin.graphql(GET_PRODUCT_BY_HANDLE, {
-            variables: { handle },
-            tries: RATE_LIMIT_CONFIG.MAX_RETRIES
-          });
-
-          const productData = await productResponse.json();
-
-          if (!productData.data.productByHandle) {
-            results.errors.push({
-              handle,
-              error: `Product with handle '${handle}' not found`
-            });
-            return;
-          }
-
-          const product = productData.data.productByHandle;
-
-          if (format === 'metafields') {
-            await processMetafields(admin, product, groupedData[handle], results, handle, dryRun);
-          } else if (format === 'products') {
-            await processProductProperties(admin, product, groupedData[handle], results, handle, dryRun);
-          }
-
-          results.processed++;
-
-        } catch (error) {
-          // Enhanced error handling for rate limits
-          if (error.message.includes('429') || error.message.includes('rate limit')) {
-            console.log(`Rate limit hit for handle ${handle}, will retry...`);
-            await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_CONFIG.RETRY_DELAY));
-          }
-
-          results.errors.push({
-            handle,
-            error: `Processing error: ${error.message}`
-          });
-        }
-      });
-
-      // Wait for batch to complete with error handling
-      try {
-        await Promise.all(batchPromises);
-        const progressPercent = Math.round(((batchIndex + 1) / batches.length) * 100);
-        console.log(`Batch ${batchIndex + 1}/${batches.length} complete (${progressPercent}%). Processed: ${results.processed}, Errors: ${results.errors.length}`);
-      } catch (batchError) {
-        console.error(`Batch ${batchIndex + 1} failed:`, batchError);
-        results.errors.push({
-          handle: 'batch_error',
-          error: `Batch ${batchIndex + 1} processing failed: ${batchError.message}`
-        });
-      }
-
-      // Add adaptive delay between batches (but not after the last batch)
-      if (batchIndex < batches.length - 1) {
-        const delay = calculateDelay(batchIndex, batches.length, optimalBatchSize);
-        console.log(`Waiting ${delay}ms before next batch...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      } else {
-        console.log(`All ${batches.length} batches completed. Final results: Processed: ${results.processed}, Errors: ${results.errors.length}`);
-      }
-
-      // Force garbage collection between batches to prevent memory buildup
-      if (global.gc && batchIndex % 10 === 0) {
-        try {
-          global.gc();
-          console.log(`Garbage collection triggered after batch ${batchIndex + 1}`);
-        } catch (gcError) {
-          // Ignore GC errors
-        }
-      }
-    }
+    await processGroupedData(admin, groupedData, format, results, { dryRun, matchKey, upsert, confirmDestructive, tagMode, collectionMode });
 
     // Clear the timeout
     clearTimeout(processingTimeout);
@@ -201,333 +347,15 @@ export const action = async ({ request }) => {
     return json({
       error: "Failed to process CSV",
       details: error.message,
+      sheetNames: error.sheetNames,
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
     }, { status: 500 });
-  }
-};
-
-// Helper function to process metafields
-async function processMetafields(admin, product, metafieldsToSet, results, handle, dryRun) {
-  const validationErrors = [];
-  const validMetafields = [];
-
-  metafieldsToSet.forEach((metafield) => {
-    if (!validateMetafieldValue(metafield.value, metafield.type)) {
-      validationErrors.push(`Invalid value '${metafield.value}' for type '${metafield.type}'`);
-    } else {
-      validMetafields.push({
-        ownerId: product.id,
-        namespace: metafield.namespace,
-        key: metafield.key,
-        value: formatMetafieldValue(metafield.value, metafield.type),
-        type: metafield.type
-      });
+  } finally {
+    if (!handedToBackground) {
+      await removeUploadedFile(file);
     }
-  });
-
-  if (validationErrors.length > 0) {
-    results.errors.push({
-      handle,
-      error: `Validation errors: ${validationErrors.join(', ')}`
-    });
-    return;
   }
-
-  if (!dryRun && validMetafields.length > 0) {
-    // Set metafields with retry logic
-    const metafieldsResponse = await admin.graphql(SET_METAFIELDS, {
-      variables: { metafields: validMetafields },
-      tries: RATE_LIMIT_CONFIG.MAX_RETRIES
-    });
-
-    const metafieldsData = await metafieldsResponse.json();
-
-    if (metafieldsData.data.metafieldsSet.userErrors.length > 0) {
-      results.errors.push({
-        handle,
-        error: `Metafield update errors: ${metafieldsData.data.metafieldsSet.userErrors.map(e => e.message).join(', ')}`
-      });
-    } else {
-      // Metafields updated successfully, now add the product_csv_import tag
-      // This preserves all existing product tags
-      try {
-        // Get current product tags (tags come as an array from GraphQL)
-        const currentTags = product.tags || [];
-        const csvImportTag = 'product_csv_import';
-
-        // Add the tag if it's not already present (preserves existing tags)
-        if (!currentTags.includes(csvImportTag)) {
-          const updatedTags = [...currentTags, csvImportTag];
-
-          // Update product with the new tag
-          const productUpdateResponse = await admin.graphql(UPDATE_PRODUCT_PROPERTIES, {
-            variables: {
-              input: {
-                id: product.id,
-                tags: updatedTags
-              }
-            },
-            tries: RATE_LIMIT_CONFIG.MAX_RETRIES
-          });
-
-          const productUpdateData = await productUpdateResponse.json();
-
-          if (productUpdateData.data.productUpdate.userErrors.length > 0) {
-            console.warn(`Warning: Could not add tag to product ${handle}: ${productUpdateData.data.productUpdate.userErrors.map(e => e.message).join(', ')}`);
-          }
-        }
-      } catch (error) {
-        console.warn(`Warning: Could not add tag to product ${handle}: ${error.message}`);
-      }
-
-      results.success.push({
-        handle,
-        metafieldsUpdated: validMetafields.length,
-        productTitle: product.title
-      });
-    }
-  } else {
-    // Dry run - just validate
-    results.success.push({
-      handle,
-      metafieldsToUpdate: validMetafields.length,
-      productTitle: product.title,
-      dryRun: true
-    });
-  }
-}
-
-// Helper function to process product properties
-async function processProductProperties(admin, product, productData, results, handle, dryRun) {
-  const updateInput = {
-    id: product.id
-  };
-
-  // Build update input
-  if (productData.title) updateInput.title = productData.title;
-  if (productData.bodyHtml) updateInput.descriptionHtml = productData.bodyHtml;
-  if (productData.vendor) updateInput.vendor = productData.vendor;
-  if (productData.productType) updateInput.productType = productData.productType;
-  // Handle tags - merge CSV tags with existing tags and add "product_csv_import" tag
-  // This preserves all existing product tags and adds new ones from CSV
-  let tagsArray = [];
-
-  // Start with existing product tags to preserve them
-  if (product.tags && product.tags.length > 0) {
-    tagsArray = [...product.tags];
-  }
-
-  // Add CSV tags if provided (and not already present)
-  if (productData.tags) {
-    const csvTags = productData.tags.split(',').map(tag => tag.trim()).filter(tag => tag);
-    csvTags.forEach(tag => {
-      if (!tagsArray.includes(tag)) {
-        tagsArray.push(tag);
-      }
-    });
-  }
-
-  // Add the product_csv_import tag if it's not already present
-  const csvImportTag = 'product_csv_import';
-  if (!tagsArray.includes(csvImportTag)) {
-    tagsArray.push(csvImportTag);
-  }
-
-  updateInput.tags = tagsArray;
-
-  if (productData.published !== undefined) {
-    updateInput.status = productData.published ? 'ACTIVE' : 'DRAFT';
-  }
-
-  // Handle all metafields
-  const metafields = [];
-
-  // Components metafield (existing logic)
-  if (productData.components) {
-    // Parse components value - if it's semicolon-separated, convert to JSON array
-    let componentsValue;
-
-    // Check if the components value looks truncated (single digit or very short)
-    // This might indicate CSV parsing issues with unquoted commas
-    const trimmedComponents = productData.components.trim();
-
-    if (trimmedComponents.includes(';')) {
-      // Convert semicolon-separated values to JSON array
-      const componentsArray = trimmedComponents.split(';').map(c => c.trim()).filter(c => c);
-      componentsValue = JSON.stringify(componentsArray);
-    } else {
-      // Single component or already JSON
-      try {
-        // Try to parse as JSON first
-        JSON.parse(trimmedComponents);
-        componentsValue = trimmedComponents;
-      } catch {
-        // If not valid JSON, wrap in array
-        // Check if this looks like a truncated value (just a number)
-        if (/^\d+$/.test(trimmedComponents) && trimmedComponents.length < 3) {
-          console.warn(`Warning: Component value "${trimmedComponents}" appears to be truncated. This may be due to unquoted commas in CSV. Consider quoting the component field in the CSV file.`);
-        }
-        componentsValue = JSON.stringify([trimmedComponents]);
-      }
-    }
-
-    metafields.push({
-      namespace: 'custom',
-      key: 'components',
-      value: componentsValue,
-      type: 'json'
-    });
-  }
-
-  // Shipping Info metafield
-  if (productData.shippingInfo) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'shipping_info',
-      value: productData.shippingInfo,
-      type: 'single_line_text_field'
-    });
-  }
-
-  // Unit/Packs metafield
-  if (productData.unitPacks) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'unit_packs',
-      value: productData.unitPacks,
-      type: 'single_line_text_field'
-    });
-  }
-
-  // COA metafield (Certificate of Analysis - likely a URL)
-  if (productData.coa) {
-    // Validate if it's a URL, otherwise treat as text
-    const isUrl = productData.coa.startsWith('http://') || productData.coa.startsWith('https://');
-    metafields.push({
-      namespace: 'custom',
-      key: 'coa',
-      value: productData.coa,
-      type: isUrl ? 'url' : 'single_line_text_field'
-    });
-  }
-
-  // SDS metafield (Safety Data Sheet - likely a URL)
-  if (productData.sds) {
-    // Validate if it's a URL, otherwise treat as text
-    const isUrl = productData.sds.startsWith('http://') || productData.sds.startsWith('https://');
-    metafields.push({
-      namespace: 'custom',
-      key: 'sds',
-      value: productData.sds,
-      type: isUrl ? 'url' : 'single_line_text_field'
-    });
-  }
-
-  // Storage Conditions metafield
-  if (productData.storageConditions) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'storage_conditions',
-      value: productData.storageConditions,
-      type: 'single_line_text_field'
-    });
-  }
-
-  // Volume metafield
-  if (productData.volume) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'volume',
-      value: productData.volume,
-      type: 'single_line_text_field'
-    });
-  }
-
-  // Matrix metafield
-  if (productData.matrix) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'matrix',
-      value: productData.matrix,
-      type: 'single_line_text_field'
-    });
-  }
-
-  // CAS Number metafield
-  if (productData.casNumber) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'cas_number',
-      value: productData.casNumber,
-      type: 'single_line_text_field'
-    });
-  }
-
-  // Catalog Number metafield
-  if (productData.catalogNumber) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'catalog_number',
-      value: productData.catalogNumber,
-      type: 'single_line_text_field'
-    });
-  }
-
-  // DOT Hazardous metafield
-  if (productData.dotHazardous) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'dot_hazardous',
-      value: productData.dotHazardous,
-      type: 'single_line_text_field'
-    });
-  }
-
-  // Expiration Months metafield
-  if (productData.expirationMonths) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'expiration_months',
-      value: productData.expirationMonths.toString(),
-      type: 'single_line_text_field'
-    });
-  }
-
-  if (metafields.length > 0) {
-    updateInput.metafields = metafields;
-  }
-
-  if (!dryRun) {
-    // Update product with retry logic
-    const productResponse = await admin.graphql(UPDATE_PRODUCT_PROPERTIES, {
-      variables: { input: updateInput },
-      tries: RATE_LIMIT_CONFIG.MAX_RETRIES
-    });
-
-    const productUpdateData = await productResponse.json();
-
-    if (productUpdateData.data.productUpdate.userErrors.length > 0) {
-      results.errors.push({
-        handle,
-        error: `Product update errors: ${productUpdateData.data.productUpdate.userErrors.map(e => e.message).join(', ')}`
-      });
-    } else {
-      results.success.push({
-        handle,
-        fieldsUpdated: Object.keys(updateInput).length - 1, // -1 for id
-        productTitle: productUpdateData.data.productUpdate.product.title
-      });
-    }
-  } else {
-    // Dry run - just validate
-    results.success.push({
-      handle,
-      fieldsToUpdate: Object.keys(updateInput).length - 1, // -1 for id
-      productTitle: product.title,
-      dryRun: true
-    });
-  }
-}
+};
 
 export const loader = async () => {
   return json({ error: "Method not allowed" }, { status: 405 });
@@ -16,10 +16,37 @@ import {
   Thumbnail,
   Badge,
   DataTable,
-  Divider
+  Divider,
+  Select,
+  Checkbox,
+  TextField
 } from "@shopify/polaris";
 import { TitleBar } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
+import { COLUMN_MAPPING_TARGETS, IGNORE_COLUMN, isRecognizedHeader } from "../utils/columnMapping";
+import { MATCH_KEY_OPTIONS } from "../utils/matchKey";
+import { TAG_MODE_OPTIONS } from "../utils/tagMode";
+import { COLLECTION_MODE_OPTIONS } from "../utils/collectionMode";
+import { METAFIELD_TYPES } from "../utils/metafieldColumns";
+import { UNIT_NORMALIZATION_DEFAULTS, unitOptions } from "../utils/unitNormalizer";
+
+// Larger files are streamed server-side, so this only guards against runaway uploads
+const MAX_FILE_SIZE = 500 * 1024 * 1024; // 500MB
+
+// CSV plus Excel/OpenDocument workbooks and JSON/NDJSON exports, all read without a CSV step
+const ACCEPTED_EXTENSIONS = ['.csv', '.xlsx', '.ods', '.json', '.ndjson', '.jsonl'];
+
+// Choices for each header in the mapping step, grouped the way the targets are listed
+const MAPPING_OPTIONS = [
+  { label: 'Use column as-is', value: '' },
+  { label: 'Ignore this column', value: IGNORE_COLUMN },
+  ...[...new Set(COLUMN_MAPPING_TARGETS.map(target => target.group))].map(group => ({
+    title: group,
+    options: COLUMN_MAPPING_TARGETS
+      .filter(target => target.group === group)
+      .map(target => ({ label: target.label, value: target.value }))
+  }))
+];
 
 export const loader = async ({ request }) => {
   await authenticate.admin(request);
@@ -28,14 +55,51 @@ export const loader = async ({ request }) => {
 
 export default function CSVUpdater() {
   const fetcher = useFetcher();
+  const headersFetcher = useFetcher(); // Column mapping step: headers of the selected file
+  const presetFetcher = useFetcher();  // Saving/deleting mapping presets
   const [file, setFile] = useState(null);
   const [uploadError, setUploadError] = useState(null);
   const [currentOperation, setCurrentOperation] = useState(null); // 'preview' or 'apply'
   const [backgroundJob, setBackgroundJob] = useState(null);
   const [jobStatus, setJobStatus] = useState(null);
+  const [sheetName, setSheetName] = useState('');
+  const [partialAccept, setPartialAccept] = useState(false);
+  const [upsert, setUpsert] = useState(false);
+  const [tagMode, setTagMode] = useState('merge');
+  const [collectionMode, setCollectionMode] = useState('merge');
+  const [normalizeUnits, setNormalizeUnits] = useState(false);
+  const [unitSettings, setUnitSettings] = useState(UNIT_NORMALIZATION_DEFAULTS);
+  const [confirmedRows, setConfirmedRows] = useState([]); // Archive/delete rows the user has reviewed and confirmed
+  const [columnMapping, setColumnMapping] = useState({});
+  const [presetName, setPresetName] = useState('');
+  const [matchKey, setMatchKey] = useState('handle');
+  const [matchMetafield, setMatchMetafield] = useState(''); // namespace.key for "Other metafield"
+  const [definitionChoices, setDefinitionChoices] = useState({}); // "namespace.key" -> { create, name, type, pin }
 
   const isProcessing = fetcher.state === "submitting";
   const results = fetcher.data?.results;
+  // Worksheets are reported after a workbook has been parsed, even if the chosen sheet failed validation
+  const sheetNames = results?.sheetNames || fetcher.data?.sheetNames || headersFetcher.data?.sheetNames || [];
+  const fileHeaders = headersFetcher.data?.headers || [];
+  const definitionKeys = headersFetcher.data?.definitionKeys || [];
+  const matchedPreset = headersFetcher.data?.preset;
+  const presets = presetFetcher.data?.presets || headersFetcher.data?.presets || [];
+
+  // Start from the preset saved for these exact headers, if there is one
+  useEffect(() => {
+    if (!headersFetcher.data?.headers) return;
+    setColumnMapping(headersFetcher.data.preset?.mapping || {});
+    setPresetName(headersFetcher.data.preset?.name || '');
+  }, [headersFetcher.data]);
+
+  // Offer to create definitions for the metafield keys the preview found without one
+  useEffect(() => {
+    if (!fetcher.data?.dryRun || !fetcher.data.results?.missingDefinitions) return;
+    setDefinitionChoices(Object.fromEntries(fetcher.data.results.missingDefinitions.map(definition => [
+      `${definition.namespace}.${definition.key}`,
+      { create: false, name: definition.name, type: definition.type, pin: true }
+    ])));
+  }, [fetcher.data]);
 
   // Handle background job response
   useEffect(() => {
@@ -71,30 +135,102 @@ export default function CSVUpdater() {
   }, [backgroundJob?.jobId]);
   */
 
+  // Read the headers of the chosen file (and worksheet) for the column mapping step
+  const loadHeaders = useCallback((selectedFile, selectedSheet) => {
+    const formData = new FormData();
+    formData.append('intent', 'headers');
+    formData.append('file', selectedFile);
+    if (selectedSheet) {
+      formData.append('sheetName', selectedSheet);
+    }
+
+    headersFetcher.submit(formData, {
+      method: 'POST',
+      action: '/api/column-mapping',
+      encType: 'multipart/form-data'
+    });
+  }, [headersFetcher]);
+
   const handleDropZoneDrop = useCallback((files) => {
     const uploadedFile = files[0];
 
     if (uploadedFile) {
-      if (uploadedFile.type !== 'text/csv' && !uploadedFile.name.endsWith('.csv')) {
-        setUploadError('Please upload a CSV file');
+      const fileName = uploadedFile.name.toLowerCase();
+      if (uploadedFile.type !== 'text/csv' && !ACCEPTED_EXTENSIONS.some(extension => fileName.endsWith(extension))) {
+        setUploadError('Please upload a CSV, Excel (.xlsx), OpenDocument (.ods), JSON or NDJSON file');
         return;
       }
 
-      if (uploadedFile.size > 5 * 1024 * 1024) { // 5MB limit
-        setUploadError('File size must be less than 5MB');
+      if (uploadedFile.size > MAX_FILE_SIZE) {
+        setUploadError('File size must be less than 500MB');
         return;
       }
 
       setFile(uploadedFile);
+      setSheetName('');
+      setColumnMapping({});
+      setConfirmedRows([]);
+      setDefinitionChoices({});
       setUploadError(null);
+      loadHeaders(uploadedFile, '');
     }
-  }, []);
+  }, [loadHeaders]);
 
   const handleFileRemove = useCallback(() => {
     setFile(null);
+    setSheetName('');
+    setColumnMapping({});
+    setConfirmedRows([]);
+    setDefinitionChoices({});
     setUploadError(null);
   }, []);
 
+  const handleSheetChange = (value) => {
+    setSheetName(value);
+    loadHeaders(file, value);
+  };
+
+  const handleDefinitionChange = (id, field, value) => {
+    setDefinitionChoices(current => ({ ...current, [id]: { ...current[id], [field]: value } }));
+  };
+
+  const handleMappingChange = (header, target) => {
+    setColumnMapping(current => ({ ...current, [header]: target }));
+  };
+
+  const handlePresetSelect = (presetId) => {
+    const preset = presets.find(item => String(item.id) === presetId);
+    if (!preset) return;
+    setColumnMapping(preset.mapping);
+    setPresetName(preset.name);
+  };
+
+  const handleSavePreset = () => {
+    const formData = new FormData();
+    formData.append('intent', 'save');
+    formData.append('name', presetName);
+    formData.append('headers', JSON.stringify(fileHeaders));
+    formData.append('columnMapping', JSON.stringify(columnMapping));
+
+    presetFetcher.submit(formData, {
+      method: 'POST',
+      action: '/api/column-mapping',
+      encType: 'multipart/form-data'
+    });
+  };
+
+  const handleDeletePreset = (presetId) => {
+    const formData = new FormData();
+    formData.append('intent', 'delete');
+    formData.append('presetId', presetId);
+
+    presetFetcher.submit(formData, {
+      method: 'POST',
+      action: '/api/column-mapping',
+      encType: 'multipart/form-data'
+    });
+  };
+
   const handleProcessCSV = (dryRunMode) => {
     if (!file) return;
 
@@ -103,6 +239,33 @@ export default function CSVUpdater() {
     const formData = new FormData();
     formData.append('file', file);
     formData.append('dryRun', dryRunMode.toString());
+    if (sheetName) {
+      formData.append('sheetName', sheetName);
+    }
+    formData.append('partialAccept', partialAccept.toString());
+    formData.append('upsert', upsert.toString());
+    formData.append('tagMode', tagMode);
+    formData.append('collectionMode', collectionMode);
+    if (normalizeUnits) {
+      formData.append('unitNormalization', JSON.stringify(unitSettings));
+    }
+    if (confirmDestructive) {
+      formData.append('confirmDestructiveRows', JSON.stringify(confirmedRows));
+    }
+
+    const definitionsToCreate = Object.entries(definitionChoices)
+      .filter(([, choice]) => choice.create)
+      .map(([id, { name, type, pin }]) => {
+        const [namespace, key] = id.split('.');
+        return { namespace, key, name, type, pin };
+      });
+    if (definitionsToCreate.length > 0) {
+      formData.append('createDefinitions', JSON.stringify(definitionsToCreate));
+    }
+    formData.append('matchKey', matchKey === 'metafield' ? `metafield:${matchMetafield.trim()}` : matchKey);
+    if (Object.values(columnMapping).some(Boolean)) {
+      formData.append('columnMapping', JSON.stringify(columnMapping));
+    }
 
     fetcher.submit(formData, {
       method: 'POST',
@@ -112,7 +275,7 @@ export default function CSVUpdater() {
   };
 
   const fileUpload = !file && (
-    <DropZone onDrop={handleDropZoneDrop}>
+    <DropZone onDrop={handleDropZoneDrop} accept={ACCEPTED_EXTENSIONS.join(',')}>
       <DropZone.FileUpload />
     </DropZone>
   );
@@ -138,6 +301,94 @@ export default function CSVUpdater() {
     </InlineStack>
   );
 
+  const worksheetPicker = file && sheetNames.length > 1 && (
+    <Select
+      label="Worksheet"
+      helpText="Preview again after choosing a different worksheet"
+      options={sheetNames.map(name => ({ label: name, value: name }))}
+      value={sheetName || results?.sheetName || sheetNames[0]}
+      onChange={handleSheetChange}
+    />
+  );
+
+  const selectedPreset = presets.find(preset => preset.name === presetName.trim());
+
+  const mappingSection = file && fileHeaders.length > 0 && (
+    <BlockStack gap="300">
+      <Text as="h3" variant="headingSm">
+        Column Mapping
+      </Text>
+      <Text variant="bodySm" color="subdued">
+        Map each column in your file to a product field or metafield, or ignore it.
+        Columns that are not recognized and left as-is are not imported.
+      </Text>
+
+      {matchedPreset && (
+        <Banner status="info">
+          Applied saved preset "{matchedPreset.name}", which was saved for these columns.
+        </Banner>
+      )}
+
+      {presets.length > 0 && (
+        <Select
+          label="Apply a saved preset"
+          placeholder="Choose a preset"
+          options={presets.map(preset => ({ label: preset.name, value: String(preset.id) }))}
+          value={selectedPreset ? String(selectedPreset.id) : ''}
+          onChange={handlePresetSelect}
+        />
+      )}
+
+      {fileHeaders.map(header => {
+        const target = columnMapping[header] || '';
+        const unmapped = !target && !isRecognizedHeader(header, fileHeaders, definitionKeys);
+
+        return (
+          <Select
+            key={header}
+            label={header}
+            options={MAPPING_OPTIONS}
+            value={target}
+            onChange={(value) => handleMappingChange(header, value)}
+            helpText={unmapped ? 'Not recognized - this column will be ignored unless it is mapped' : undefined}
+          />
+        );
+      })}
+
+      <InlineStack gap="300" blockAlign="end">
+        <TextField
+          label="Preset name"
+          value={presetName}
+          onChange={setPresetName}
+          autoComplete="off"
+          helpText="Saved presets are applied automatically to files with the same columns"
+        />
+        <Button
+          onClick={handleSavePreset}
+          loading={presetFetcher.state === 'submitting'}
+          disabled={!presetName.trim()}
+        >
+          Save Preset
+        </Button>
+        {selectedPreset && (
+          <Button
+            tone="critical"
+            onClick={() => handleDeletePreset(selectedPreset.id)}
+            disabled={presetFetcher.state === 'submitting'}
+          >
+            Delete Preset
+          </Button>
+        )}
+      </InlineStack>
+
+      {presetFetcher.data?.error && (
+        <Banner status="critical">
+          {presetFetcher.data.details || presetFetcher.data.error}
+        </Banner>
+      )}
+    </BlockStack>
+  );
+
   const progressSection = isProcessing && (
     <Card>
       <BlockStack gap="400">
@@ -152,6 +403,11 @@ export default function CSVUpdater() {
     </Card>
   );
 
+  // Metafield deletions are counted apart from updates
+  const metafieldDeletions = results?.success.reduce(
+    (sum, item) => sum + (item.metafieldsDeleted || item.metafieldsToDelete || 0), 0
+  ) || 0;
+
   const resultsSection = results && !isProcessing && (
     <Card>
       <BlockStack gap="400">
@@ -159,6 +415,37 @@ export default function CSVUpdater() {
           {fetcher.data?.dryRun ? 'Preview Results' : 'Processing Results'}
         </Text>
 
+        {results.encoding && (
+          <Text variant="bodySm" color="subdued">
+            Detected file encoding: {results.encoding.toUpperCase()}
+          </Text>
+        )}
+
+        {results.repaired && (
+          <Banner status="warning" title="This file is not valid CSV, so the repair heuristic was used">
+            <Text variant="bodyMd">
+              Line breaks inside quoted fields were replaced with spaces and unquoted commas in components were rejoined. Check the preview carefully, or fix the file and upload it again to keep paragraph breaks.
+            </Text>
+            <List type="bullet">
+              {results.repairReasons.map((reason, index) => (
+                <List.Item key={index}>{reason}</List.Item>
+              ))}
+            </List>
+          </Banner>
+        )}
+
+        {results.encodingIssues?.length > 0 && (
+          <Banner status="warning" title={`${results.encodingIssues.length} characters could not be decoded`}>
+            <List type="bullet">
+              {results.encodingIssues.map((issue, index) => (
+                <List.Item key={index}>
+                  Row {issue.row}, column "{issue.column}": …{issue.excerpt}…
+                </List.Item>
+              ))}
+            </List>
+          </Banner>
+        )}
+
         <InlineStack gap="400">
           <Badge status="success">
             {results.success.length} successful
@@ -168,9 +455,102 @@ export default function CSVUpdater() {
               {results.errors.length} errors
             </Badge>
           )}
+          {results.created?.length > 0 && (
+            <Badge status="info">
+              {results.created.length} {fetcher.data?.dryRun ? 'to create' : 'created'}
+            </Badge>
+          )}
+          {metafieldDeletions > 0 && (
+            <Badge status="warning">
+              {metafieldDeletions} metafields {fetcher.data?.dryRun ? 'to delete' : 'deleted'}
+            </Badge>
+          )}
+          {results.quarantined?.length > 0 && (
+            <Badge status="warning">
+              {results.quarantined.length} rows quarantined
+            </Badge>
+          )}
         </InlineStack>
 
-        {results.success.length > 0 && (
+        {results.definitionsCreated?.length > 0 && (
+          <Banner status="success" title={`Created ${results.definitionsCreated.length} metafield definitions`}>
+            <List type="bullet">
+              {results.definitionsCreated.map(definition => (
+                <List.Item key={`${definition.namespace}.${definition.key}`}>
+                  <strong>{definition.namespace}.{definition.key}:</strong> {definition.name} ({definition.type}{definition.pinned ? ', pinned' : ''}{definition.existing ? ', already existed' : ''})
+                </List.Item>
+              ))}
+            </List>
+          </Banner>
+        )}
+
+        {results.quarantined?.length > 0 && (
+          <Banner
+            status="warning"
+            title={`${results.validRows} valid rows, ${results.quarantined.length} quarantined`}
+          >
+            <Text variant="bodyMd">
+              {fetcher.data?.dryRun
+                ? 'Quarantined rows will be skipped if you apply these changes. Counts cover the previewed rows only.'
+                : 'Quarantined rows were skipped. Fix them and upload them again.'}
+            </Text>
+            <List type="bullet">
+              {results.quarantined.map((row, index) => (
+                <List.Item key={index}>
+                  {row.handle && <strong>{row.handle}: </strong>}
+                  {row.errors.join('; ')}
+                </List.Item>
+              ))}
+            </List>
+          </Banner>
+        )}
+
+        {results.warnings?.length > 0 && (
+          <Banner status="warning" title={`${results.warnings.length} warnings`}>
+            <Text variant="bodyMd">
+              These rows are still applied. Check that each CAS number belongs to the right substance and that converted components read as intended.
+            </Text>
+            <List type="bullet">
+              {results.warnings.map((warning, index) => (
+                <List.Item key={index}>{warning}</List.Item>
+              ))}
+            </List>
+          </Banner>
+        )}
+
+        {results.success.length > 0 && results.format === 'inventory' && (
+          <Box>
+            <Text as="h4" variant="headingSm">
+              {fetcher.data?.dryRun ? 'Inventory Changes' : 'Inventory Updated'}
+            </Text>
+            <DataTable
+              columnContentTypes={['numeric', 'text', 'text', 'numeric', 'numeric']}
+              headings={['Row', 'SKU', 'Location', 'Before', 'After']}
+              rows={results.success.map(item => [item.row, item.sku, item.location, item.before, item.after])}
+            />
+          </Box>
+        )}
+
+        {results.success.length > 0 && results.format === 'metaobjects' && (
+          <Box>
+            <Text as="h4" variant="headingSm">
+              {fetcher.data?.dryRun ? 'Metaobject Entries to Save' : 'Metaobject Entries Saved'}
+            </Text>
+            <DataTable
+              columnContentTypes={['numeric', 'text', 'text', 'text', 'numeric']}
+              headings={['Row', 'Type', 'Handle', 'Entry', fetcher.data?.dryRun ? 'Fields to Update' : 'Fields Updated']}
+              rows={results.success.map(item => [
+                item.row,
+                item.metaobjectType,
+                item.metaobjectHandle,
+                item.status === 'create' ? 'New' : 'Existing',
+                item.fieldsToUpdate ?? item.fieldsUpdated ?? 0
+              ])}
+            />
+          </Box>
+        )}
+
+        {results.success.length > 0 && !['inventory', 'metaobjects'].includes(results.format) && (
           <Box>
             <Text as="h4" variant="headingSm">Successful Updates</Text>
             <DataTable
@@ -180,17 +560,53 @@ export default function CSVUpdater() {
                 'Product Title',
                 results.format === 'metafields'
                   ? (fetcher.data?.dryRun ? 'Metafields to Update' : 'Metafields Updated')
-                  : (fetcher.data?.dryRun ? 'Fields to Update' : 'Fields Updated')
+                  : results.format === 'variants'
+                    ? (fetcher.data?.dryRun ? 'Variants to Update' : 'Variants Updated')
+                    : (fetcher.data?.dryRun ? 'Fields to Update' : 'Fields Updated')
               ]}
               rows={results.success.map(item => [
                 item.handle,
                 item.productTitle,
-                item.metafieldsUpdated || item.metafieldsToUpdate || item.fieldsUpdated || item.fieldsToUpdate || 0
+                item.action || item.metafieldsUpdated || item.metafieldsToUpdate || item.variantsUpdated || item.variantsToUpdate ||
+                  item.fieldsUpdated || item.fieldsToUpdate || 0
               ])}
             />
           </Box>
         )}
 
+        {results.created?.length > 0 && (
+          <Box>
+            <Text as="h4" variant="headingSm">
+              {fetcher.data?.dryRun ? 'Products to Create' : 'Products Created'}
+            </Text>
+            <DataTable
+              columnContentTypes={['text', 'text', 'text', 'numeric']}
+              headings={['Product Handle', 'Product Title', 'Template', fetcher.data?.dryRun ? 'Fields to Set' : 'Fields Set']}
+              rows={results.created.map(item => [
+                item.handle,
+                item.productTitle,
+                item.template || '-',
+                item.fieldsToSet || item.fieldsSet || 0
+              ])}
+            />
+          </Box>
+        )}
+
+        {[...results.success, ...(results.created || [])].some(item => item.changes?.length > 0) && (
+          <Box>
+            <Text as="h4" variant="headingSm">
+              {fetcher.data?.dryRun ? 'Changes to Apply' : 'Changes Applied'}
+            </Text>
+            <List type="bullet">
+              {[...results.success, ...(results.created || [])].flatMap(item => (item.changes || []).map((change, index) => (
+                <List.Item key={`${item.handle}-${index}`}>
+                  <strong>{item.handle}:</strong> {change}
+                </List.Item>
+              )))}
+            </List>
+          </Box>
+        )}
+
         {results.errors.length > 0 && (
           <Box>
             <Text as="h4" variant="headingSm">Errors</Text>
@@ -207,6 +623,102 @@ export default function CSVUpdater() {
     </Card>
   );
 
+  // Archive/delete rows from the last preview, or from an apply that was stopped for confirmation
+  // (which lists every such row in the file). The confirmation only counts while it covers
+  // every listed row, so rows the preview didn't show have to be reviewed too.
+  const destructiveItems = fetcher.data?.destructive ||
+    (fetcher.data?.dryRun ? results.success.filter(item => item.destructive) : []);
+  const confirmDestructive = destructiveItems.length > 0 &&
+    destructiveItems.every(item => confirmedRows.includes(item.row));
+
+  const destructiveSection = destructiveItems.length > 0 && (
+    <Banner status="critical" title={`${destructiveItems.length} products will be archived or deleted`}>
+      <BlockStack gap="200">
+        <List type="bullet">
+          {destructiveItems.map((item, index) => (
+            <List.Item key={index}>
+              Row {item.row}: <strong>{item.handle}</strong> - {item.action}
+            </List.Item>
+          ))}
+        </List>
+        <Checkbox
+          label="I have reviewed these products and want to archive or delete them"
+          helpText="Deleted products can't be restored. Without this, archive and delete rows are skipped."
+          checked={confirmDestructive}
+          onChange={(checked) => setConfirmedRows(checked ? destructiveItems.map(item => item.row) : [])}
+        />
+      </BlockStack>
+    </Banner>
+  );
+
+  const unitsSection = (
+    <BlockStack gap="200">
+      <Checkbox
+        label="Normalize units"
+        helpText="Convert component concentrations, Volume and Unit/Packs to one unit each (e.g. '1 mg/mL' and '1000 ppm' both become '1000 μg/mL'). Values that can't be read are reported as errors."
+        checked={normalizeUnits}
+        onChange={setNormalizeUnits}
+      />
+      {normalizeUnits && (
+        <InlineStack gap="300">
+          {[['concentration', 'Concentration'], ['volume', 'Volume'], ['mass', 'Mass']].map(([kind, label]) => (
+            <Select
+              key={kind}
+              label={label}
+              options={unitOptions(kind)}
+              value={unitSettings[kind]}
+              onChange={(value) => setUnitSettings(prev => ({ ...prev, [kind]: value }))}
+            />
+          ))}
+        </InlineStack>
+      )}
+    </BlockStack>
+  );
+
+  const missingDefinitionIds = Object.keys(definitionChoices);
+
+  const definitionsSection = missingDefinitionIds.length > 0 && (
+    <Banner status="warning" title={`${missingDefinitionIds.length} metafields have no definition`}>
+      <BlockStack gap="300">
+        <Text variant="bodyMd">
+          Without a definition these values are stored as unstructured metafields, which don't appear in the product editor or storefront filters. Choose the definitions to create; they're created before any value is written when you apply.
+        </Text>
+        {missingDefinitionIds.map(id => {
+          const choice = definitionChoices[id];
+          return (
+            <InlineStack key={id} gap="300" blockAlign="end">
+              <Checkbox
+                label={`Create ${id}`}
+                checked={choice.create}
+                onChange={value => handleDefinitionChange(id, 'create', value)}
+              />
+              <TextField
+                label="Name"
+                value={choice.name}
+                onChange={value => handleDefinitionChange(id, 'name', value)}
+                disabled={!choice.create}
+                autoComplete="off"
+              />
+              <Select
+                label="Type"
+                options={METAFIELD_TYPES.map(type => ({ label: type, value: type }))}
+                value={choice.type}
+                onChange={value => handleDefinitionChange(id, 'type', value)}
+                disabled={!choice.create}
+              />
+              <Checkbox
+                label="Pin"
+                checked={choice.pin}
+                onChange={value => handleDefinitionChange(id, 'pin', value)}
+                disabled={!choice.create}
+              />
+            </InlineStack>
+          );
+        })}
+      </BlockStack>
+    </Banner>
+  );
+
   const errorSection = fetcher.data?.error && (
     <Banner status="critical">
       <p>{fetcher.data.error}</p>
@@ -237,16 +749,21 @@ export default function CSVUpdater() {
                   Upload CSV File
                 </Text>
                 <Text variant="bodyMd">
-                  Upload a CSV file to update product properties or metafields. The app supports two formats:
+                  Upload a CSV file, an Excel (.xlsx) / OpenDocument (.ods) workbook, or a JSON / NDJSON export to update product properties, variants, inventory, metafields or metaobject entries. The app supports five formats:
                 </Text>
                 <List type="bullet">
-                  <List.Item><strong>Product Properties:</strong> Handle, Title, Body (HTML), Vendor, Type, Tags, Published, Components</List.Item>
+                  <List.Item><strong>Product Properties:</strong> Handle, Title, Body (HTML), Vendor, Type, Tags, Collections, Published, Components</List.Item>
+                  <List.Item><strong>Variants:</strong> Variant SKU (or Handle + Option1 Value...), Variant Price, Variant Compare At Price, Variant Barcode, Variant Weight, Variant Inventory Policy</List.Item>
+                  <List.Item><strong>Inventory:</strong> SKU, Location, Available or Adjust By</List.Item>
                   <List.Item><strong>Metafields:</strong> handle, namespace, key, value, type</List.Item>
+                  <List.Item><strong>Metaobjects:</strong> Metaobject Type, Metaobject Handle, one column per field</List.Item>
                 </List>
 
                 <Box>
                   {fileUpload}
                   {uploadedFile}
+                  {worksheetPicker}
+                  {mappingSection}
                   {uploadError && (
                     <Banner status="critical">
                       {uploadError}
@@ -256,14 +773,62 @@ export default function CSVUpdater() {
 
                 {file && (
                   <BlockStack gap="300">
+                    <InlineStack gap="300" blockAlign="end">
+                      <Select
+                        label="Match products by"
+                        helpText="Used by the product properties and metafields formats"
+                        options={[...MATCH_KEY_OPTIONS, { label: 'Other metafield...', value: 'metafield' }]}
+                        value={matchKey}
+                        onChange={setMatchKey}
+                      />
+                      {matchKey === 'metafield' && (
+                        <TextField
+                          label="Metafield"
+                          placeholder="namespace.key"
+                          value={matchMetafield}
+                          onChange={setMatchMetafield}
+                          autoComplete="off"
+                        />
+                      )}
+                      <Select
+                        label="Tags"
+                        helpText="Write a tag as -tag to remove it in merge or replace mode"
+                        options={TAG_MODE_OPTIONS}
+                        value={tagMode}
+                        onChange={setTagMode}
+                      />
+                      <Select
+                        label="Collections"
+                        helpText="Write a collection as -handle to remove the product from it in merge or replace mode"
+                        options={COLLECTION_MODE_OPTIONS}
+                        value={collectionMode}
+                        onChange={setCollectionMode}
+                      />
+                    </InlineStack>
+                    <Checkbox
+                      label="Skip invalid rows"
+                      helpText="Apply the rows that pass validation and quarantine the rest, instead of rejecting the whole file."
+                      checked={partialAccept}
+                      onChange={setPartialAccept}
+                    />
+                    <Checkbox
+                      label="Create missing products"
+                      helpText="Product properties rows whose product isn't found are created as new products (as drafts unless Published is set). Rows need a Handle and Title."
+                      checked={upsert}
+                      onChange={setUpsert}
+                    />
+                    {unitsSection}
+                    {definitionsSection}
+                    {destructiveSection}
                     <Text as="p" variant="bodyMd" color="subdued">
                       Preview shows first 25 rows for performance. All rows will be processed when applying changes.
+                      Files over 5MB are streamed in the background when applied.
                     </Text>
                     <InlineStack gap="400" align="start">
                       <Button
                         onClick={() => handleProcessCSV(true)}
                         loading={isProcessing && currentOperation === 'preview'}
-                        disabled={!file || isProcessing}
+                        disabled={!file || isProcessing || (matchKey === 'metafield' && !matchMetafield.trim())}
                       >
                         Preview Changes
                       </Button>
@@ -271,7 +836,7 @@ export default function CSVUpdater() {
                         primary
                         onClick={() => handleProcessCSV(false)}
                         loading={isProcessing && currentOperation === 'apply'}
-                        disabled={!file || isProcessing}
+                        disabled={!file || isProcessing || (matchKey === 'metafield' && !matchMetafield.trim())}
                       >
                         Apply Changes
                       </Button>
@@ -285,7 +850,9 @@ export default function CSVUpdater() {
                     <BlockStack gap="400">
                       <Text variant="headingMd">Processing in Background</Text>
                       <Text>
-                        Processing {backgroundJob.totalProducts} products. This may take {backgroundJob.estimatedTime}.
+                        {backgroundJob.totalProducts
+                          ? `Processing ${backgroundJob.totalProducts} products. This may take ${backgroundJob.estimatedTime}.`
+                          : `${backgroundJob.message} This may take ${backgroundJob.estimatedTime}.`}
                       </Text>
 
                       {jobStatus && (
@@ -297,8 +864,8 @@ export default function CSVUpdater() {
                                 size="large"
                               />
                               <Text variant="bodySm">
-                                {jobStatus.processed || 0} of {jobStatus.total || backgroundJob.totalProducts} products processed
-                                {jobStatus.errors && jobStatus.errors.length > 0 && ` (${jobStatus.errors.length} errors)`}
+                                {jobStatus.processed || 0} of {jobStatus.total || backgroundJob.totalProducts || '?'} products processed
+                                {jobStatus.errorCount > 0 && ` (${jobStatus.errorCount} errors)`}
                               </Text>
                             </>
                           )}
@@ -307,7 +874,7 @@ export default function CSVUpdater() {
                             <Banner tone="success">
                               <Text>
                                 Processing completed! {jobStatus.processed} products updated successfully.
-                                {jobStatus.errors && jobStatus.errors.length > 0 && ` ${jobStatus.errors.length} errors occurred.`}
+                                {jobStatus.errorCount > 0 && ` ${jobStatus.errorCount} errors occurred.`}
                               </Text>
                             </Banner>
                           )}
@@ -345,9 +912,39 @@ export default function CSVUpdater() {
                   <List.Item><strong>Body (HTML)</strong> - Product description</List.Item>
                   <List.Item><strong>Vendor</strong> - Product vendor</List.Item>
                   <List.Item><strong>Type</strong> - Product type</List.Item>
-                  <List.Item><strong>Tags</strong> - Comma-separated tags</List.Item>
+                  <List.Item><strong>Tags</strong> - Comma-separated tags, applied by the chosen tag mode. Prefix a tag with - to remove it</List.Item>
+                  <List.Item><strong>Collections</strong> - Comma-separated collection handles or titles, applied by the chosen collection mode. Prefix one with - to remove the product from it. Smart collections can't be listed</List.Item>
                   <List.Item><strong>Published</strong> - true/false or 1/0</List.Item>
-                  <List.Item><strong>Components</strong> - Custom components metafield</List.Item>
+                  <List.Item><strong>Components</strong> - Components metafield, as JSON or Name | concentration | matrix | cas entries separated by semicolons</List.Item>
+                  <List.Item><strong>Label (product.metafields.namespace.key)</strong>, <strong>product.metafields.namespace.key</strong> or <strong>namespace.key</strong> - Any other product metafield, typed by its definition or a :type suffix (<strong>namespace.key:type</strong> for a key without a definition)</List.Item>
+                  <List.Item><strong>Template Handle</strong> - Product to duplicate when the handle doesn't exist yet</List.Item>
+                  <List.Item><strong>Action</strong> - update (default), archive, unarchive or delete. Archive and delete need confirming before they're applied</List.Item>
+                </List>
+
+                <Divider />
+
+                <Text as="h4" variant="headingSm">
+                  Variants Format:
+                </Text>
+                <List type="bullet">
+                  <List.Item><strong>Variant SKU</strong> - Finds the variant to update</List.Item>
+                  <List.Item><strong>Handle + Option1 Value</strong> - Finds the variant by its options instead (the SKU column then sets a new SKU)</List.Item>
+                  <List.Item><strong>Variant Price / Variant Compare At Price</strong> - Prices</List.Item>
+                  <List.Item><strong>Variant Barcode</strong> - Barcode</List.Item>
+                  <List.Item><strong>Variant Weight / Variant Weight Unit</strong> - Weight in g, kg, oz or lb</List.Item>
+                  <List.Item><strong>Variant Inventory Policy</strong> - deny or continue</List.Item>
+                </List>
+
+                <Divider />
+
+                <Text as="h4" variant="headingSm">
+                  Inventory Format:
+                </Text>
+                <List type="bullet">
+                  <List.Item><strong>SKU</strong> - Variant SKU (required)</List.Item>
+                  <List.Item><strong>Location</strong> - Location name (required)</List.Item>
+                  <List.Item><strong>Available</strong> - New available quantity</List.Item>
+                  <List.Item><strong>Adjust By</strong> - Change to the available quantity, e.g. 5 or -3</List.Item>
                 </List>
 
                 <Divider />
@@ -359,8 +956,20 @@ export default function CSVUpdater() {
                   <List.Item><strong>handle</strong> - Product handle (required)</List.Item>
                   <List.Item><strong>namespace</strong> - Metafield namespace</List.Item>
                   <List.Item><strong>key</strong> - Metafield key</List.Item>
-                  <List.Item><strong>value</strong> - Metafield value</List.Item>
-                  <List.Item><strong>type</strong> - Metafield type (optional)</List.Item>
+                  <List.Item><strong>value</strong> - Metafield value, or __DELETE__ to delete the metafield</List.Item>
+                  <List.Item><strong>type</strong> - Metafield type (optional, defaults to the metafield definition's type)</List.Item>
+                  <List.Item><strong>action</strong> - set (default) or delete (optional)</List.Item>
+                </List>
+
+                <Divider />
+
+                <Text as="h4" variant="headingSm">
+                  Metaobjects Format:
+                </Text>
+                <List type="bullet">
+                  <List.Item><strong>Metaobject Type</strong> - Type of the metaobject definition, e.g. lab_component (required)</List.Item>
+                  <List.Item><strong>Metaobject Handle</strong> - Handle of the entry to create or update (required)</List.Item>
+                  <List.Item><strong>Other columns</strong> - Field values, one column per field key, e.g. analyte, concentration, matrix, cas</List.Item>
                 </List>
 
                 <Divider />
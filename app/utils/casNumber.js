@@ -0,0 +1,76 @@
+// CAS Registry Numbers: 2 to 7 digits, 2 digits and a check digit, e.g. 7439-92-1.
+// The check digit is the sum of the other digits, each multiplied by its position
+// counted from the right, modulo 10.
+
+const CAS_FORMAT = /^(\d{2,7})-(\d{2})-(\d)$/;
+
+// Dashes that spreadsheets and chemical catalogues put in place of '-'
+const DASHES = /[‐-―−﹘﹣－]/g;
+
+/**
+ * The check digit for the digits before it
+ */
+function checkDigit(digits) {
+  return [...digits].reverse().reduce((sum, digit, index) => sum + Number(digit) * (index + 1), 0) % 10;
+}
+
+/**
+ * Normalize a CAS number and verify its check digit. Whitespace is removed, other dashes
+ * become '-', and undashed digits ('7439921') are split. Returns { cas } or { error }.
+ */
+export function normalizeCASNumber(value) {
+  let cas = String(value).replace(DASHES, '-').replace(/\s*-\s*/g, '-').trim();
+
+  if (/^\d+$/.test(cas) && cas.length >= 5 && cas.length <= 10) {
+    cas = `${cas.slice(0, -3)}-${cas.slice(-3, -1)}-${cas.slice(-1)}`;
+  } else {
+    cas = cas.replace(/\s+/g, '-');
+  }
+
+  const match = CAS_FORMAT.exec(cas);
+  if (!match) {
+    return { error: `'${value}' is not a CAS number (expected NNNNNNN-NN-N)` };
+  }
+
+  if (match[1].startsWith('0')) {
+    return { error: `'${value}' is not a CAS number (the first part can't start with 0)` };
+  }
+
+  const expected = checkDigit(match[1] + match[2]);
+  if (expected !== Number(match[3])) {
+    return { error: `'${value}' has the wrong check digit (expected ${match[1]}-${match[2]}-${expected})` };
+  }
+
+  return { cas };
+}
+
+/**
+ * Warn about CAS numbers given for differently named substances within a file.
+ * `entries` are { row, cas, name } for components (analytes); names compare
+ * case-insensitively. Product titles aren't compared: standards of one analyte at
+ * different concentrations share its CAS number under different titles.
+ */
+export function findCASConflicts(entries) {
+  const byCAS = new Map();
+
+  entries.forEach(entry => {
+    if (!byCAS.has(entry.cas)) {
+      byCAS.set(entry.cas, new Map());
+    }
+    const names = byCAS.get(entry.cas);
+    const key = entry.name.trim().toLowerCase();
+    if (!names.has(key)) {
+      names.set(key, { name: entry.name.trim(), rows: [] });
+    }
+    names.get(key).rows.push(entry.row);
+  });
+
+  const warnings = [];
+  byCAS.forEach((names, cas) => {
+    if (names.size < 2) return;
+    const uses = [...names.values()].map(({ name, rows }) => `'${name}' (row ${rows.join(', ')})`);
+    warnings.push(`CAS ${cas} is used for different names: ${uses.join(', ')}`);
+  });
+
+  return warnings;
+}
@@ -0,0 +1,131 @@
+import { RATE_LIMIT_CONFIG } from './csvProcessor';
+import { searchValue } from './referenceResolver';
+import {
+  FIND_COLLECTION_BY_HANDLE,
+  FIND_COLLECTIONS_BY_TITLE,
+  GET_PRODUCT_COLLECTIONS,
+  ADD_PRODUCTS_TO_COLLECTION,
+  REMOVE_PRODUCTS_FROM_COLLECTION
+} from '../graphql/collections';
+
+// Collection membership: a row's Collections value names collections by handle or
+// title. Each name is looked up once per import, and smart collections are refused
+// because their conditions choose their products. See collectionMode.js for the modes.
+
+// Collection lookups are cached per admin client (one per request or job)
+const collectionCache = new WeakMap();
+
+/**
+ * Run a collection query and return its data
+ */
+async function query(admin, document, variables) {
+  const response = await admin.graphql(document, {
+    variables,
+    tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+  });
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Find a collection by handle, then by exact title (ignoring case).
+ * Returns { collection } or { error }.
+ */
+async function findCollection(admin, name) {
+  const byHandle = await query(admin, FIND_COLLECTION_BY_HANDLE, { handle: name });
+  if (byHandle.collectionByHandle) {
+    return { collection: byHandle.collectionByHandle };
+  }
+
+  const byTitle = await query(admin, FIND_COLLECTIONS_BY_TITLE, { query: `title:${searchValue(name)}` });
+  const matches = byTitle.collections.edges
+    .map(edge => edge.node)
+    .filter(collection => collection.title.toLowerCase() === name.toLowerCase());
+
+  if (matches.length === 0) {
+    return { error: `no collection with handle or title '${name}'` };
+  }
+  if (matches.length > 1) {
+    return { error: `${matches.length} collections are titled '${name}' (use a handle: ${matches.map(c => c.handle).join(', ')})` };
+  }
+  return { collection: matches[0] };
+}
+
+/**
+ * findCollection, looked up once per name and admin client
+ */
+function cachedFindCollection(admin, name) {
+  if (!collectionCache.has(admin)) {
+    collectionCache.set(admin, new Map());
+  }
+  const cache = collectionCache.get(admin);
+  const key = name.toLowerCase();
+
+  if (!cache.has(key)) {
+    const request = findCollection(admin, name);
+    // Don't cache a failed lookup, so the next row can retry
+    request.catch(() => cache.delete(key));
+    cache.set(key, request);
+  }
+  return cache.get(key);
+}
+
+/**
+ * Resolve a row's Collections value into the collections to join and to leave.
+ * Returns { join, leave, replace, issues }, or null for an empty cell, which never
+ * changes the product's collections (even in replace mode).
+ */
+export async function resolveCollections(admin, value, mode = 'merge') {
+  const listed = (value || '').split(',').map(name => name.trim()).filter(name => name);
+  if (listed.length === 0) return null;
+
+  const join = [];
+  const leave = [];
+  const issues = [];
+
+  for (const entry of listed) {
+    const name = entry.replace(/^-/, '').trim();
+    if (!name) continue;
+
+    const { collection, error } = await cachedFindCollection(admin, name);
+    if (error) {
+      issues.push(`Collections: ${error}`);
+    } else if (collection.ruleSet) {
+      issues.push(`Collections: '${collection.title}' is a smart collection; its products are chosen by its conditions, so it can't be set from a CSV`);
+    } else if (mode === 'remove' || entry.startsWith('-')) {
+      leave.push(collection);
+    } else {
+      join.push(collection);
+    }
+  }
+
+  return { join, leave, replace: mode === 'replace', issues };
+}
+
+/**
+ * The collections a product is in
+ */
+export async function getProductCollections(admin, productId) {
+  const data = await query(admin, GET_PRODUCT_COLLECTIONS, { id: productId });
+  return data.product.collections.edges.map(edge => edge.node);
+}
+
+/**
+ * Apply a collection plan with collectionAddProducts/collectionRemoveProducts.
+ * Returns the user errors of all mutations.
+ */
+export async function applyCollectionChanges(admin, productId, { add, remove }) {
+  const userErrors = [];
+
+  for (const collection of remove) {
+    const data = await query(admin, REMOVE_PRODUCTS_FROM_COLLECTION, { id: collection.id, productIds: [productId] });
+    userErrors.push(...data.collectionRemoveProducts.userErrors);
+  }
+
+  for (const collection of add) {
+    const data = await query(admin, ADD_PRODUCTS_TO_COLLECTION, { id: collection.id, productIds: [productId] });
+    userErrors.push(...data.collectionAddProducts.userErrors);
+  }
+
+  return userErrors;
+}
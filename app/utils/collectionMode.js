@@ -0,0 +1,57 @@
+// Collection modes: how a row's Collections value changes the product's collections.
+// Collections are named by handle or title, separated by commas. Like tag modes,
+// 'merge' (default) adds the product to the listed collections, 'replace' also removes
+// it from custom collections that aren't listed, and 'remove' removes it from the
+// listed ones. In merge and replace mode a collection written as '-clearance' is left
+// instead of joined.
+// Smart collections choose their products by their conditions, so they can't be listed.
+
+export const COLLECTION_MODE_OPTIONS = [
+  { label: 'Merge (add to listed collections)', value: 'merge' },
+  { label: 'Replace (leave collections not listed)', value: 'replace' },
+  { label: 'Remove (leave listed collections)', value: 'remove' }
+];
+
+/**
+ * Validate a collection mode, defaulting to merge
+ */
+export function parseCollectionMode(value) {
+  if (!value) return 'merge';
+
+  if (!COLLECTION_MODE_OPTIONS.some(option => option.value === value)) {
+    throw new Error(`Invalid collection mode '${value}'. Use merge, replace or remove`);
+  }
+  return value;
+}
+
+/**
+ * Work out the collections to add the product to and remove it from, given the
+ * collections it's in. Smart collections are never removed from in replace mode.
+ * Returns { add, remove } as lists of collections.
+ */
+export function planCollectionChanges(currentCollections, { join, leave, replace }) {
+  const current = new Set(currentCollections.map(collection => collection.id));
+  const joinIds = new Set(join.map(collection => collection.id));
+  const leaveIds = new Set(leave.map(collection => collection.id));
+
+  const add = [...new Map(
+    join
+      .filter(collection => !current.has(collection.id) && !leaveIds.has(collection.id))
+      .map(collection => [collection.id, collection])
+  ).values()];
+
+  const remove = currentCollections.filter(collection => {
+    if (joinIds.has(collection.id)) return false;
+    return leaveIds.has(collection.id) || (replace && !collection.ruleSet);
+  });
+
+  return { add, remove };
+}
+
+/**
+ * Describe a collection plan for the results, e.g. "Collections: +Sale, -Clearance"
+ */
+export function describeCollectionChanges({ add, remove }) {
+  if (add.length === 0 && remove.length === 0) return null;
+  return `Collections: ${[...add.map(c => `+${c.title}`), ...remove.map(c => `-${c.title}`)].join(', ')}`;
+}
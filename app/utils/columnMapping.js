@@ -0,0 +1,112 @@
+import { parseMetafieldHeader } from './metafieldColumns.js';
+
+// Column mapping: lets a supplier sheet with its own headers be mapped onto the
+// columns the validators understand. A mapping is a plain object of
+// { "<file header>": "<target column>" }; headers without an entry pass through unchanged.
+
+export const IGNORE_COLUMN = '__ignore__';
+
+// Canonical columns a header can be mapped to, in the exact form the validators read them
+export const COLUMN_MAPPING_TARGETS = [
+  // Product properties format
+  { value: 'Handle', label: 'Handle', group: 'Product fields' },
+  { value: 'Title', label: 'Title', group: 'Product fields' },
+  { value: 'Body (HTML)', label: 'Body (HTML)', group: 'Product fields' },
+  { value: 'Vendor', label: 'Vendor', group: 'Product fields' },
+  { value: 'Type', label: 'Product type', group: 'Product fields' },
+  { value: 'Tags', label: 'Tags', group: 'Product fields' },
+  { value: 'Collections', label: 'Collections (handles or titles)', group: 'Product fields' },
+  { value: 'Published', label: 'Published', group: 'Product fields' },
+  { value: 'Template Handle', label: 'Template handle', group: 'Product fields' },
+  { value: 'Action', label: 'Action (update, archive, unarchive, delete)', group: 'Product fields' },
+
+  // Product properties format - metafields
+  { value: 'Components (product.metafields.custom.components)', label: 'Components (custom.components)', group: 'Metafields' },
+  { value: 'Shipping Info (product.metafields.custom.shipping_info)', label: 'Shipping info (custom.shipping_info)', group: 'Metafields' },
+  { value: 'Unit/Packs (product.metafields.custom.unit_packs)', label: 'Unit/Packs (custom.unit_packs)', group: 'Metafields' },
+  { value: 'COA (product.metafields.custom.coa)', label: 'COA (custom.coa)', group: 'Metafields' },
+  { value: 'SDS (product.metafields.custom.sds)', label: 'SDS (custom.sds)', group: 'Metafields' },
+  { value: 'Storage Conditions (product.metafields.custom.storage_conditions)', label: 'Storage conditions (custom.storage_conditions)', group: 'Metafields' },
+  { value: 'Volume (product.metafields.custom.volume)', label: 'Volume (custom.volume)', group: 'Metafields' },
+  { value: 'Matrix (product.metafields.custom.matrix)', label: 'Matrix (custom.matrix)', group: 'Metafields' },
+  { value: 'CAS Number (product.metafields.custom.cas_number)', label: 'CAS number (custom.cas_number)', group: 'Metafields' },
+  { value: 'Catalog Number (product.metafields.custom.catalog_number)', label: 'Catalog number (custom.catalog_number)', group: 'Metafields' },
+  { value: 'DOT Hazardous (product.metafields.custom.dot_hazardous)', label: 'DOT hazardous (custom.dot_hazardous)', group: 'Metafields' },
+  { value: 'expiration months (product.metafields.custom.expiration_months)', label: 'Expiration months (custom.expiration_months)', group: 'Metafields' },
+
+  // Variants format
+  { value: 'Variant SKU', label: 'SKU', group: 'Variant fields' },
+  { value: 'Option1 Value', label: 'Option 1 value', group: 'Variant fields' },
+  { value: 'Option2 Value', label: 'Option 2 value', group: 'Variant fields' },
+  { value: 'Option3 Value', label: 'Option 3 value', group: 'Variant fields' },
+  { value: 'Variant Price', label: 'Price', group: 'Variant fields' },
+  { value: 'Variant Compare At Price', label: 'Compare-at price', group: 'Variant fields' },
+  { value: 'Variant Barcode', label: 'Barcode', group: 'Variant fields' },
+  { value: 'Variant Weight', label: 'Weight', group: 'Variant fields' },
+  { value: 'Variant Weight Unit', label: 'Weight unit', group: 'Variant fields' },
+  { value: 'Variant Inventory Policy', label: 'Inventory policy', group: 'Variant fields' },
+
+  // Inventory format
+  { value: 'Location', label: 'Location', group: 'Inventory' },
+  { value: 'Available', label: 'Available quantity', group: 'Inventory' },
+  { value: 'Adjust By', label: 'Adjust by', group: 'Inventory' },
+
+  // Metaobjects format (every other column is a field key)
+  { value: 'Metaobject Type', label: 'Metaobject type', group: 'Metaobjects' },
+  { value: 'Metaobject Handle', label: 'Metaobject handle', group: 'Metaobjects' },
+
+  // Metafields format
+  { value: 'handle', label: 'handle', group: 'Metafields format' },
+  { value: 'namespace', label: 'namespace', group: 'Metafields format' },
+  { value: 'key', label: 'key', group: 'Metafields format' },
+  { value: 'value', label: 'value', group: 'Metafields format' },
+  { value: 'type', label: 'type', group: 'Metafields format' },
+  { value: 'action', label: 'action (set or delete)', group: 'Metafields format' }
+];
+
+// Other spellings the validators already accept without a mapping
+const KNOWN_HEADER_ALIASES = [
+  'bodyHtml', 'title', 'vendor', 'productType', 'tags', 'collections', 'published', 'templateHandle', 'action', 'components',
+  'shippingInfo', 'Shipping Info', 'unitPacks', 'Unit/Packs', 'coa', 'COA', 'sds', 'SDS',
+  'storageConditions', 'Storage Conditions', 'volume', 'Volume', 'matrix', 'Matrix',
+  'casNumber', 'CAS Number', 'cas_number', 'catalogNumber', 'Catalog Number', 'catalog_number',
+  'dotHazardous', 'DOT Hazardous', 'dot_hazardous', 'expirationMonths', 'expiration months',
+  'sku', 'SKU', 'option1', 'option2', 'option3', 'price', 'compareAtPrice', 'barcode',
+  'weight', 'weightUnit', 'Variant Grams', 'inventoryPolicy',
+  'location', 'available', 'Adjust by', 'adjustBy'
+];
+
+/**
+ * Whether a header is read by the validators as-is, without any mapping.
+ * In a metaobjects file (one with a Metaobject Type column among `headers`) every
+ * column is a field. `definitionKeys` are the shop's product metafield definition keys.
+ */
+export function isRecognizedHeader(header, headers = [], definitionKeys = []) {
+  return headers.includes('Metaobject Type') ||
+    COLUMN_MAPPING_TARGETS.some(target => target.value === header) ||
+    KNOWN_HEADER_ALIASES.includes(header) ||
+    parseMetafieldHeader(header, definitionKeys) !== null;
+}
+
+/**
+ * Rename (or drop) the columns of parsed rows according to a mapping.
+ * When two headers map to the same target, the first non-empty value wins.
+ */
+export function applyColumnMapping(rows, mapping) {
+  if (!mapping || Object.keys(mapping).length === 0) return rows;
+
+  return rows.map(row => {
+    const mapped = {};
+
+    Object.entries(row).forEach(([header, value]) => {
+      const target = mapping[header] || header;
+      if (target === IGNORE_COLUMN) return;
+
+      if (mapped[target] === undefined || mapped[target] === '') {
+        mapped[target] = value;
+      }
+    });
+
+    return mapped;
+  });
+}
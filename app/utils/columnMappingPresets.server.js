@@ -0,0 +1,109 @@
+import prisma from "../db.server";
+import { COLUMN_MAPPING_TARGETS, IGNORE_COLUMN } from "./columnMapping";
+
+// Per-shop named column mappings, stored with a signature of the headers they were
+// made for so they can be picked up again when a supplier sends the same layout
+
+/**
+ * Order- and case-insensitive key for a set of headers
+ */
+export function getHeaderSignature(headers) {
+  return JSON.stringify(
+    [...new Set(headers.map(header => header.trim().toLowerCase()))].sort()
+  );
+}
+
+/**
+ * Check a mapping received from the client: every key must be a string and
+ * every value a known target column (or the ignore marker)
+ */
+export function parseColumnMapping(value) {
+  if (!value) return null;
+
+  let mapping;
+  try {
+    mapping = typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    throw new Error(`Invalid column mapping: ${error.message}`);
+  }
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('Invalid column mapping: expected an object of header to column');
+  }
+
+  const targets = COLUMN_MAPPING_TARGETS.map(target => target.value);
+  const cleaned = {};
+
+  Object.entries(mapping).forEach(([header, target]) => {
+    if (!target) return; // Empty means "use the header as-is"
+
+    if (target !== IGNORE_COLUMN && !targets.includes(target)) {
+      throw new Error(`Invalid column mapping: unknown column '${target}' for header '${header}'`);
+    }
+    cleaned[header] = target;
+  });
+
+  return Object.keys(cleaned).length > 0 ? cleaned : null;
+}
+
+function toPreset(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    mapping: JSON.parse(record.mapping),
+    updatedAt: record.updatedAt
+  };
+}
+
+/**
+ * List a shop's presets, most recently used first
+ */
+export async function listColumnMappingPresets(shop) {
+  const records = await prisma.columnMappingPreset.findMany({
+    where: { shop },
+    orderBy: { updatedAt: 'desc' }
+  });
+  return records.map(toPreset);
+}
+
+/**
+ * Find the preset saved for exactly this set of headers, if any
+ */
+export async function findColumnMappingPreset(shop, headers) {
+  const record = await prisma.columnMappingPreset.findFirst({
+    where: { shop, headerSignature: getHeaderSignature(headers) },
+    orderBy: { updatedAt: 'desc' }
+  });
+  return record ? toPreset(record) : null;
+}
+
+/**
+ * Save a preset under a name, replacing any existing preset with that name
+ */
+export async function saveColumnMappingPreset(shop, name, headers, mapping) {
+  const trimmedName = (name || '').trim();
+  if (!trimmedName) {
+    throw new Error('Preset name is required');
+  }
+
+  const data = {
+    headerSignature: getHeaderSignature(headers),
+    mapping: JSON.stringify(mapping || {})
+  };
+
+  const record = await prisma.columnMappingPreset.upsert({
+    where: { shop_name: { shop, name: trimmedName } },
+    update: data,
+    create: { shop, name: trimmedName, ...data }
+  });
+  return toPreset(record);
+}
+
+/**
+ * Delete one of the shop's presets
+ */
+export async function deleteColumnMappingPreset(shop, id) {
+  await prisma.columnMappingPreset.deleteMany({
+    where: { shop, id: Number(id) }
+  });
+}
@@ -0,0 +1,147 @@
+import { normalizeCASNumber } from './casNumber.js';
+
+// Components (custom.components): the analytes of a standard or mix, stored as a JSON
+// list of { component, concentration, matrix, cas }. Only component is required.
+// A cell holds either that JSON or the text shorthand
+// 'Lead | 1000 μg/mL | 2% HNO3 | 7439-92-1; Cadmium | 1000 μg/mL | 2% HNO3',
+// where everything after the name is optional. Components are separated by ';' only:
+// a name like 'Lead, Cadmium' is rejected rather than stored as one component, since
+// commas inside chemical names ('2,4-Dinitrophenol', 'N,N-Dimethylformamide') rule out
+// splitting on them. A JSON list of plain names (["Lead","Cadmium"], the older form of
+// the metafield) is read as shorthand and converted to objects; the count is returned
+// so the conversion can be reported.
+
+export const COMPONENT_FIELDS = ['component', 'concentration', 'matrix', 'cas'];
+
+// Two words joined by a comma, as in 'Lead, Cadmium' or 'comp1,comp2'
+const COMMA_LIST = /[A-Za-z]{2,}\d*\s*,\s*[A-Za-z]{2}/;
+
+/**
+ * Build one component from its parts, returning { component } or { error }
+ */
+function buildComponent(parts) {
+  const component = {};
+
+  COMPONENT_FIELDS.forEach(field => {
+    const value = parts[field];
+    if (value === undefined || value === null || value === '') return;
+    component[field] = String(value).trim();
+  });
+
+  if (!component.component) {
+    return { error: 'missing the component name' };
+  }
+
+  // An unquoted comma in a CSV cuts a cell short, often leaving just a number
+  if (/^\d+$/.test(component.component)) {
+    return { error: `name '${component.component}' is just a number - was the cell cut off at an unquoted comma?` };
+  }
+
+  if (component.cas) {
+    const result = normalizeCASNumber(component.cas);
+    if (result.error) {
+      return { error: `CAS ${result.error}` };
+    }
+    component.cas = result.cas;
+  }
+
+  return { component };
+}
+
+/**
+ * Parse one shorthand entry: 'Name | concentration | matrix | cas'
+ */
+function parseShorthandEntry(entry) {
+  const parts = entry.split('|').map(part => part.trim());
+  if (parts.length > COMPONENT_FIELDS.length) {
+    return { error: `has ${parts.length} parts, expected at most ${COMPONENT_FIELDS.length} (name | concentration | matrix | cas)` };
+  }
+
+  if (COMMA_LIST.test(parts[0])) {
+    return { error: `name '${parts[0]}' looks like several components - separate components with ';' (or use the JSON form for a name containing a comma)` };
+  }
+
+  return buildComponent(Object.fromEntries(parts.map((part, index) => [COMPONENT_FIELDS[index], part])));
+}
+
+/**
+ * Check one entry of a JSON components list. Plain strings are read as shorthand.
+ */
+function parseJSONEntry(entry) {
+  if (typeof entry === 'string') {
+    return parseShorthandEntry(entry);
+  }
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { error: 'must be an object with a component name' };
+  }
+
+  const unknown = Object.keys(entry).filter(key => !COMPONENT_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    return { error: `has unknown field${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')} (use ${COMPONENT_FIELDS.join(', ')})` };
+  }
+
+  const invalid = COMPONENT_FIELDS.filter(field => (
+    entry[field] !== undefined && entry[field] !== null && !['string', 'number'].includes(typeof entry[field])
+  ));
+  if (invalid.length > 0) {
+    return { error: `${invalid.join(', ')} must be text` };
+  }
+
+  return buildComponent(entry);
+}
+
+/**
+ * Parse a components cell (JSON or shorthand) into { components, errors, converted }.
+ * Errors name the component they belong to, e.g. "Component 2: missing the component name".
+ * converted counts the plain-text entries of a JSON list that became objects.
+ */
+export function parseComponents(value) {
+  const text = (value || '').trim();
+  if (!text) return { components: [], errors: [], converted: 0 };
+
+  let entries;
+  let parseEntry;
+  let converted = 0;
+
+  if (/^[[{]/.test(text)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      return { components: [], errors: [`invalid JSON (${error.message})`], converted: 0 };
+    }
+
+    entries = Array.isArray(parsed) ? parsed : [parsed];
+    parseEntry = parseJSONEntry;
+    converted = entries.filter(entry => typeof entry === 'string').length;
+  } else {
+    entries = text.split(';').map(entry => entry.trim()).filter(entry => entry);
+    parseEntry = parseShorthandEntry;
+  }
+
+  const components = [];
+  const errors = [];
+
+  entries.forEach((entry, index) => {
+    const result = parseEntry(entry);
+    if (result.error) {
+      errors.push(`Component ${index + 1}: ${result.error}`);
+    } else {
+      components.push(result.component);
+    }
+  });
+
+  if (entries.length === 0) {
+    errors.push('no components listed');
+  }
+
+  return { components, errors, converted };
+}
+
+/**
+ * The JSON value stored in custom.components
+ */
+export function formatComponents(components) {
+  return JSON.stringify(components);
+}
@@ -1,113 +1,165 @@
 import { jobQueue } from './jobQueue';
-import { 
-  parseCSV, 
-  groupDataByHandle, 
-  getOptimalBatchSize, 
-  createBatches, 
-  calculateDelay,
-  RATE_LIMIT_CONFIG 
+import {
+  parseCSV,
+  streamCSV,
+  groupDataByHandle,
+  isStreamableFile,
+  STREAMING_THRESHOLD_BYTES
 } from './csvProcessor';
-import { GET_PRODUCT_BY_HANDLE, SET_METAFIELDS, UPDATE_PRODUCT_PROPERTIES } from '../graphql/metafields';
+import { processGroupedData } from './productProcessor';
+import { removeUploadedFile } from './uploadHandler.server';
+
+// Caps on undecodable characters and quarantined rows kept in the job results across all chunks
+const MAX_ENCODING_ISSUES = 100;
+const MAX_QUARANTINED_ROWS = 500;
+
+// Caps on the success, error and created entries kept in the job results; entries past
+// them are only counted, so the results stay bounded however large the file is
+const MAX_RESULT_ENTRIES = 1000;
+const RESULT_LISTS = [['success', 'successCount'], ['errors', 'errorCount'], ['created', 'createdCount']];
+
+/**
+ * Count the entries added to the result lists since the last call, then drop those over
+ * the cap. `kept` holds each list's length after the last call.
+ */
+function capResultLists(results, kept) {
+  RESULT_LISTS.forEach(([list, count]) => {
+    results[count] += results[list].length - kept[list];
+    results[list].length = Math.min(results[list].length, MAX_RESULT_ENTRIES);
+    kept[list] = results[list].length;
+  });
+}
+
+// Files under the streaming threshold are parsed whole so they still get the
+// malformed-CSV repair heuristics; larger files are streamed in chunks.
+// Workbooks and JSON arrays can only be read whole.
+async function* readChunks(file, options) {
+  if (file.size > STREAMING_THRESHOLD_BYTES && isStreamableFile(file)) {
+    yield* streamCSV(file, {
+      partial: options.partialAccept,
+      columnMapping: options.columnMapping,
+      matchKey: options.matchKey,
+      unitNormalization: options.unitNormalization,
+      definitionKeys: options.definitionKeys
+    });
+    return;
+  }
+
+  const csvData = await parseCSV(file, {
+    preview: false,
+    sheetName: options.sheetName,
+    partial: options.partialAccept,
+    columnMapping: options.columnMapping,
+    matchKey: options.matchKey,
+    unitNormalization: options.unitNormalization,
+    definitionKeys: options.definitionKeys
+  });
+  yield {
+    ...csvData.data,
+    rowOffset: 0,
+    bytesRead: file.size,
+    encoding: csvData.meta.encoding,
+    encodingIssues: csvData.meta.encodingIssues
+  };
+}
 
 // Background CSV processor
-export async function processCSVInBackground(admin, file, dryRun, jobId) {
+// Memory stays bounded by the chunk size and the result caps no matter how large the upload is.
+// Streamed files have already been validated whole (see scanCSVStream) when the job starts.
+export async function processCSVInBackground(admin, file, dryRun, jobId, options = {}) {
   try {
     console.log(`Starting background processing for job ${jobId}`);
     jobQueue.startJob(jobId);
 
-    // Parse CSV file
-    const csvData = await parseCSV(file, { preview: false });
-    
-    if (csvData.errors.length > 0) {
-      jobQueue.failJob(jobId, new Error(`CSV parsing errors: ${csvData.errors.join(', ')}`));
-      return;
-    }
-
-    const { data, format } = csvData.data;
-    const groupedData = groupDataByHandle(data, format);
-    const handles = Object.keys(groupedData);
-
-    // Update job with total count
-    jobQueue.updateProgress(jobId, {
-      total: handles.length,
-      format
-    });
-
     const results = {
       processed: 0,
       errors: [],
       success: [],
-      total: handles.length,
-      format
+      created: [],
+      missingDefinitions: [],
+      definitionsCreated: options.definitionsCreated || [],
+      total: 0,
+      format: null,
+      encoding: null,
+      encodingIssues: [],
+      validRows: 0,
+      quarantined: [],
+      quarantinedCount: 0,
+      successCount: 0,
+      errorCount: 0,
+      createdCount: 0,
+      warnings: options.warnings || []
     };
+    const kept = { success: 0, errors: 0, created: 0 };
+
+    for await (const chunk of readChunks(file, options)) {
+      const groupedData = groupDataByHandle(chunk.data, chunk.format);
+      const handles = Object.keys(groupedData);
+
+      // The total grows as chunks arrive since the row count isn't known up front
+      results.format = chunk.format;
+      results.encoding = chunk.encoding;
+      results.encodingIssues.push(...chunk.encodingIssues.slice(0, MAX_ENCODING_ISSUES - results.encodingIssues.length));
+      results.total += handles.length;
+      results.validRows += chunk.data.length;
+
+      const rejected = chunk.rejected || [];
+      results.quarantinedCount += rejected.length;
+      results.quarantined.push(...rejected.slice(0, MAX_QUARANTINED_ROWS - results.quarantined.length));
+
+      // Streamed files come with the warnings scanCSVStream found across the whole file
+      if (!options.warnings) {
+        results.warnings.push(...(chunk.warnings || []));
+      }
 
-    // Process in batches
-    const optimalBatchSize = getOptimalBatchSize(handles.length);
-    const batches = createBatches(handles, optimalBatchSize);
-
-    console.log(`Job ${jobId}: Processing ${handles.length} products in ${batches.length} batches of size ${optimalBatchSize}`);
-
-    for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-      const batch = batches[batchIndex];
-      const batchPromises = batch.map(async (handle) => {
-        try {
-          // Get product by handle
-          const productResponse = await admin.graphql(GET_PRODUCT_BY_HANDLE, {
-            variables: { handle },
-            tries: RATE_LIMIT_CONFIG.MAX_RETRIES
-          });
-
-          const productData = await productResponse.json();
-
-          if (!productData.data.productByHandle) {
-            results.errors.push({
-              handle,
-              error: `Product with handle '${handle}' not found`
-            });
-            return;
-          }
-
-          const product = productData.data.productByHandle;
-
-          if (format === 'metafields') {
-            await processMetafields(admin, product, groupedData[handle], results, handle, dryRun);
-          } else if (format === 'products') {
-            await processProductProperties(admin, product, groupedData[handle], results, handle, dryRun);
-          }
-
-          results.processed++;
+      jobQueue.updateProgress(jobId, {
+        total: results.total,
+        format: chunk.format,
+        quarantinedCount: results.quarantinedCount
+      });
 
-        } catch (error) {
-          results.errors.push({
-            handle,
-            error: `Processing error: ${error.message}`
+      console.log(`Job ${jobId}: Processing rows ${chunk.rowOffset + 1}-${chunk.rowOffset + chunk.data.length} (${handles.length} products)`);
+
+      await processGroupedData(admin, groupedData, chunk.format, results, {
+        dryRun,
+        matchKey: options.matchKey,
+        upsert: options.upsert,
+        confirmDestructive: options.confirmDestructive,
+        tagMode: options.tagMode,
+        collectionMode: options.collectionMode,
+        onBatchComplete: () => {
+          capResultLists(results, kept);
+
+          // Progress is measured in bytes read, the only thing known for a stream
+          const progressPercent = file.size
+            ? Math.min(100, Math.round((chunk.bytesRead / file.size) * 100))
+            : 0;
+
+          jobQueue.updateProgress(jobId, {
+            progress: progressPercent,
+            processed: results.processed,
+            errors: results.errors,
+            success: results.success,
+            errorCount: results.errorCount,
+            successCount: results.successCount
           });
         }
       });
+      capResultLists(results, kept);
 
-      // Wait for batch to complete
-      await Promise.all(batchPromises);
-
-      // Update progress
-      const progressPercent = Math.round(((batchIndex + 1) / batches.length) * 100);
-      jobQueue.updateProgress(jobId, {
-        progress: progressPercent,
-        processed: results.processed,
-        errors: results.errors,
-        success: results.success
-      });
-
-      console.log(`Job ${jobId}: Batch ${batchIndex + 1}/${batches.length} complete (${progressPercent}%). Processed: ${results.processed}, Errors: ${results.errors.length}`);
-
-      // Add delay between batches
-      if (batchIndex < batches.length - 1) {
-        const delay = calculateDelay(batchIndex, batches.length, optimalBatchSize);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
+      console.log(`Job ${jobId}: Chunk complete. Processed: ${results.processed}, Errors: ${results.errors.length}`);
     }
 
     // Complete the job
     jobQueue.completeJob(jobId, {
+      progress: 100,
+      processed: results.processed,
+      total: results.total,
+      errors: results.errors,
+      success: results.success,
+      errorCount: results.errorCount,
+      successCount: results.successCount,
+      quarantinedCount: results.quarantinedCount,
       results,
       dryRun
     });
@@ -117,244 +169,7 @@ export async function processCSVInBackground(admin, file, dryRun, jobId) {
   } catch (error) {
     console.error(`Job ${jobId} failed:`, error);
     jobQueue.failJob(jobId, error);
-  }
-}
-
-// Helper functions (simplified versions of the ones in the main API)
-async function processMetafields(admin, product, metafieldsToSet, results, handle, dryRun) {
-  // Simplified metafields processing
-  if (!dryRun && metafieldsToSet.length > 0) {
-    const metafieldsResponse = await admin.graphql(SET_METAFIELDS, {
-      variables: { metafields: metafieldsToSet },
-      tries: RATE_LIMIT_CONFIG.MAX_RETRIES
-    });
-
-    const metafieldsData = await metafieldsResponse.json();
-
-    if (metafieldsData.data.metafieldsSet.userErrors.length > 0) {
-      results.errors.push({
-        handle,
-        error: `Metafield update errors: ${metafieldsData.data.metafieldsSet.userErrors.map(e => e.message).join(', ')}`
-      });
-    } else {
-      results.success.push({
-        handle,
-        metafieldsUpdated: metafieldsToSet.length,
-        productTitle: product.title
-      });
-    }
-  }
-}
-
-async function processProductProperties(admin, product, productData, results, handle, dryRun) {
-  // Full product properties processing (matching main processor)
-  const updateInput = { id: product.id };
-
-  // Build basic update input
-  if (productData.title) updateInput.title = productData.title;
-  if (productData.bodyHtml) updateInput.descriptionHtml = productData.title;
-  if (productData.vendor) updateInput.vendor = productData.vendor;
-  if (productData.productType) updateInput.productType = productData.productType;
-  if (productData.published !== undefined) {
-    updateInput.status = productData.published ? 'ACTIVE' : 'DRAFT';
-  }
-
-  // Handle tags (preserve existing + add CSV + add import tag)
-  let tagsArray = [];
-  if (product.tags && product.tags.length > 0) {
-    tagsArray = [...product.tags];
-  }
-  if (productData.tags) {
-    const csvTags = productData.tags.split(',').map(tag => tag.trim()).filter(tag => tag);
-    csvTags.forEach(tag => {
-      if (!tagsArray.includes(tag)) {
-        tagsArray.push(tag);
-      }
-    });
-  }
-  const csvImportTag = 'product_csv_import';
-  if (!tagsArray.includes(csvImportTag)) {
-    tagsArray.push(csvImportTag);
-  }
-  updateInput.tags = tagsArray;
-
-  // Handle all metafields (matching main processor)
-  const metafields = [];
-
-  // Components metafield (with proper JSON parsing logic)
-  if (productData.components) {
-    // Parse components value - if it's semicolon-separated, convert to JSON array
-    let componentsValue;
-
-    // Check if the components value looks truncated (single digit or very short)
-    // This might indicate CSV parsing issues with unquoted commas
-    const trimmedComponents = productData.components.trim();
-
-    if (trimmedComponents.includes(';')) {
-      // Convert semicolon-separated values to JSON array
-      const componentsArray = trimmedComponents.split(';').map(c => c.trim()).filter(c => c);
-      componentsValue = JSON.stringify(componentsArray);
-    } else {
-      // Single component or already JSON
-      try {
-        // Try to parse as JSON first
-        JSON.parse(trimmedComponents);
-        componentsValue = trimmedComponents;
-      } catch {
-        // If not valid JSON, wrap in array
-        // Check if this looks like a truncated value (just a number)
-        if (/^\d+$/.test(trimmedComponents) && trimmedComponents.length < 3) {
-          console.warn(`Warning: Component value "${trimmedComponents}" appears to be truncated. This may be due to unquoted commas in CSV. Consider quoting the component field in the CSV file.`);
-        }
-        componentsValue = JSON.stringify([trimmedComponents]);
-      }
-    }
-
-    metafields.push({
-      namespace: 'custom',
-      key: 'components',
-      value: componentsValue,
-      type: 'json'
-    });
-  }
-
-  // Shipping Info metafield
-  if (productData.shippingInfo) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'shipping_info',
-      value: productData.shippingInfo,
-      type: 'single_line_text_field'
-    });
-  }
-
-  // Unit/Packs metafield
-  if (productData.unitPacks) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'unit_packs',
-      value: productData.unitPacks,
-      type: 'single_line_text_field'
-    });
-  }
-
-  // COA metafield (Certificate of Analysis - likely a URL)
-  if (productData.coa) {
-    // Validate if it's a URL, otherwise treat as text
-    const isUrl = productData.coa.startsWith('http://') || productData.coa.startsWith('https://');
-    metafields.push({
-      namespace: 'custom',
-      key: 'coa',
-      value: productData.coa,
-      type: isUrl ? 'url' : 'single_line_text_field'
-    });
-  }
-
-  // SDS metafield (Safety Data Sheet - likely a URL)
-  if (productData.sds) {
-    // Validate if it's a URL, otherwise treat as text
-    const isUrl = productData.sds.startsWith('http://') || productData.sds.startsWith('https://');
-    metafields.push({
-      namespace: 'custom',
-      key: 'sds',
-      value: productData.sds,
-      type: isUrl ? 'url' : 'single_line_text_field'
-    });
-  }
-
-  // Storage Conditions metafield
-  if (productData.storageConditions) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'storage_conditions',
-      value: productData.storageConditions,
-      type: 'single_line_text_field'
-    });
-  }
-
-  // Volume metafield
-  if (productData.volume) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'volume',
-      value: productData.volume,
-      type: 'single_line_text_field'
-    });
-  }
-
-  // Matrix metafield
-  if (productData.matrix) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'matrix',
-      value: productData.matrix,
-      type: 'single_line_text_field'
-    });
-  }
-
-  // CAS Number metafield
-  if (productData.casNumber) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'cas_number',
-      value: productData.casNumber,
-      type: 'single_line_text_field'
-    });
-  }
-
-  // Catalog Number metafield
-  if (productData.catalogNumber) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'catalog_number',
-      value: productData.catalogNumber,
-      type: 'single_line_text_field'
-    });
-  }
-
-  // DOT Hazardous metafield
-  if (productData.dotHazardous) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'dot_hazardous',
-      value: productData.dotHazardous,
-      type: 'single_line_text_field'
-    });
-  }
-
-  // Expiration Months metafield
-  if (productData.expirationMonths) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'expiration_months',
-      value: productData.expirationMonths.toString(),
-      type: 'single_line_text_field'
-    });
-  }
-
-  if (metafields.length > 0) {
-    updateInput.metafields = metafields;
-  }
-
-  if (!dryRun) {
-    const productResponse = await admin.graphql(UPDATE_PRODUCT_PROPERTIES, {
-      variables: { input: updateInput },
-      tries: RATE_LIMIT_CONFIG.MAX_RETRIES
-    });
-
-    const productUpdateData = await productResponse.json();
-
-    if (productUpdateData.data.productUpdate.userErrors.length > 0) {
-      results.errors.push({
-        handle,
-        error: `Product update errors: ${productUpdateData.data.productUpdate.userErrors.map(e => e.message).join(', ')}`
-      });
-    } else {
-      results.success.push({
-        handle,
-        productTitle: productUpdateData.data.productUpdate.product.title,
-        updated: true
-      });
-    }
+  } finally {
+    await removeUploadedFile(file);
   }
 }
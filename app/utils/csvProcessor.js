@@ -1,7 +1,43 @@
 import Papa from 'papaparse';
+import { Readable } from 'node:stream';
+import {
+  decodeBytes,
+  detectEncoding,
+  createDecoder,
+  findUndecodableCharacters,
+  ENCODING_SAMPLE_BYTES
+} from './encodingDetector.js';
+import { isWorkbookFile, parseWorkbook } from './workbookParser.js';
+import {
+  detectJSONFormat,
+  detectJSONFormatFromName,
+  parseJSONRows,
+  parseNDJSONLine,
+  JSON_FORMATS
+} from './jsonRowParser.js';
+import { applyColumnMapping, COLUMN_MAPPING_TARGETS } from './columnMapping.js';
+import { parseMetafieldHeader, METAFIELD_TYPES } from './metafieldColumns.js';
+import { parseMeasurement, parseMoney, parseRating } from './measurementValues.js';
+import { parseMatchKey, getMatchValue } from './matchKey.js';
+import { parseComponents, formatComponents } from './componentsParser.js';
+import { normalizeCASNumber, findCASConflicts } from './casNumber.js';
+import { normalizeQuantity, normalizeUnitPacks } from './unitNormalizer.js';
 
 /**
- * Fix common CSV issues with multi-line content in quoted fields
+ * Files above this size are never read into memory as a whole.
+ * Previews read only the first rows and imports go through streamCSV.
+ */
+export const STREAMING_THRESHOLD_BYTES = 5 * 1024 * 1024; // 5MB
+
+/**
+ * Number of rows validated and handed to the job pipeline at a time
+ */
+export const STREAM_CHUNK_ROWS = 500;
+
+/**
+ * Repair heuristic for malformed CSV with broken multi-line content in quoted fields.
+ * Lines inside a quoted field are joined with a space, which flattens paragraph
+ * breaks, so this only runs when the strict RFC 4180 parse fails.
  */
 function fixMultilineCSV(csvText) {
   try {
@@ -178,125 +214,213 @@ function preprocessCSVForComponents(csvText) {
   }
 }
 
+/**
+ * Parse an .xlsx/.ods upload through the same validation as CSV rows
+ */
+async function parseWorkbookFile(file, options) {
+  const { rows, sheetName, sheetNames } = await parseWorkbook(file, { sheetName: options.sheetName });
+  const data = options.preview ? rows.slice(0, options.maxPreviewRows) : rows;
+
+  try {
+    if (data.length === 0) {
+      throw new Error(`Worksheet '${sheetName}' contains no data rows`);
+    }
+
+    return {
+      data: validateCSVData(data, {
+        preview: options.preview,
+        partial: options.partial,
+        columnMapping: options.columnMapping,
+        matchKey: options.matchKey,
+        unitNormalization: options.unitNormalization,
+        definitionKeys: options.definitionKeys
+      }),
+      errors: [],
+      meta: { sheetName, sheetNames }
+    };
+  } catch (error) {
+    error.sheetNames = sheetNames;
+    throw error;
+  }
+}
+
+// Papa Parse error types that mean the file isn't valid CSV (unbalanced quotes,
+// rows with the wrong number of fields) rather than just having bad values
+const MALFORMED_CSV_ERROR_TYPES = ['Quotes', 'FieldMismatch'];
+
+/**
+ * Papa Parse options for whole-file CSV parsing
+ */
+function getPapaParseOptions({ preview = 0 } = {}) {
+  return {
+    header: true,
+    dynamicTyping: false, // Keep everything as strings for validation
+    skipEmptyLines: 'greedy',
+    newline: '', // Auto-detect line endings
+    quoteChar: '"', // Handle quoted fields properly
+    escapeChar: '"', // Handle escaped quotes
+    delimiter: ',', // Explicit comma delimiter
+    transformHeader: (header) => header.trim(), // Trim header whitespace
+    fastMode: false, // Disable fast mode for better error handling
+    preview, // Limit to the first N data rows (0 = all)
+    transform: (value, field) => {
+      // Special handling for component fields that might contain unquoted commas
+      if (field && field.toLowerCase().includes('component') && value) {
+        // If this looks like a truncated chemical name (starts with digit and is very short),
+        // log a warning about potential CSV parsing issues
+        if (/^\d+$/.test(value.trim()) && value.trim().length < 3) {
+          console.warn(`Potential CSV parsing issue detected for field "${field}": value "${value}" may be truncated due to unquoted commas. Consider quoting this field in the CSV.`);
+        }
+      }
+      return value;
+    }
+  };
+}
+
+/**
+ * Turn Papa Parse errors into readable messages
+ */
+function summarizeParseErrors(errors) {
+  return errors.map(error => {
+    let message = error.message || 'Unknown parsing error';
+    if (error.row !== undefined) {
+      message = `Row ${error.row + 1}: ${message}`;
+    }
+    if (error.code) {
+      message += ` (Code: ${error.code})`;
+    }
+    return message;
+  });
+}
+
+/**
+ * Whether a file can be read by streamCSV. Workbooks and JSON arrays can only be parsed whole.
+ */
+export function isStreamableFile(file) {
+  return !isWorkbookFile(file) && detectJSONFormatFromName(file.name) !== JSON_FORMATS.JSON;
+}
+
+/**
+ * Parse a JSON/NDJSON upload through the same validation as CSV rows
+ */
+function parseJSONFile(text, inputFormat, options) {
+  const rows = parseJSONRows(text, inputFormat);
+  const data = options.preview ? rows.slice(0, options.maxPreviewRows) : rows;
+
+  if (data.length === 0) {
+    throw new Error('File contains no data rows');
+  }
+
+  return {
+    data: validateCSVData(data, {
+      preview: options.preview,
+      partial: options.partial,
+      columnMapping: options.columnMapping,
+      matchKey: options.matchKey,
+      unitNormalization: options.unitNormalization,
+      definitionKeys: options.definitionKeys
+    }),
+    errors: [],
+    meta: {
+      inputFormat,
+      encoding: options.encoding,
+      encodingIssues: findUndecodableCharacters(data)
+    }
+  };
+}
+
 /**
  * Parse CSV file and validate the structure
  * Expected CSV format can be either:
- * 1. Product properties: Handle,Title,Body (HTML),Vendor,Type,Tags,Published,Components (product.metafields.custom.components)
+ * 1. Product properties: Handle,Title,Body (HTML),Vendor,Type,Tags,Collections,Published,Components (product.metafields.custom.components)
  * 2. Metafields: handle,namespace,key,value,type
+ * Excel (.xlsx) and OpenDocument (.ods) workbooks are also accepted; pass
+ * options.sheetName to choose the worksheet. JSON (an array of row objects) and
+ * NDJSON files are detected by extension or content and use the same row shapes.
+ * options.columnMapping maps the file's own headers onto these columns,
+ * options.unitNormalization (see unitNormalizer.js) converts quantities to one unit, and
+ * options.definitionKeys (the shop's 'namespace.key' definitions) lets a bare
+ * 'namespace.key' header be read as a metafield column.
  */
 export async function parseCSV(file, options = {}) {
   try {
-    // Convert File to text - file is a File object from FormData
-    let csvText = await file.text();
-
-    console.log('Starting CSV parsing...');
-    console.log(`CSV file size: ${csvText.length} characters`);
-
     // For preview mode, limit the number of rows to prevent memory issues
     const isPreview = options.preview || false;
     const maxPreviewRows = 25; // Limit preview to first 25 rows for better memory usage
 
-    // Clean up the CSV text to handle common issues
-    csvText = csvText
-      .replace(/\r\n/g, '\n') // Normalize line endings
-      .replace(/\r/g, '\n')   // Handle old Mac line endings
-      .trim(); // Remove leading/trailing whitespace
-
-    // Try to fix common CSV issues with multi-line content
-    // This is a heuristic approach for handling unescaped newlines in quoted fields
-    csvText = fixMultilineCSV(csvText);
-
-    // Preprocess CSV to handle potential issues with unquoted component fields containing commas
-    csvText = preprocessCSVForComponents(csvText);
-
-    // If preview mode, limit the CSV text to first N rows
-    if (isPreview) {
-      const lines = csvText.split('\n');
-      if (lines.length > maxPreviewRows + 1) { // +1 for header
-        csvText = lines.slice(0, maxPreviewRows + 1).join('\n');
-        console.log(`Preview mode: Processing first ${maxPreviewRows} rows out of ${lines.length - 1} total rows for memory efficiency`);
-      }
+    if (isWorkbookFile(file)) {
+      return await parseWorkbookFile(file, { ...options, preview: isPreview, maxPreviewRows });
     }
 
-    // Parse CSV synchronously since we already have the text
-    let results;
-
-    // First attempt with standard configuration
-    try {
-      results = Papa.parse(csvText, {
-        header: true,
-        skipEmptyLines: true,
-        dynamicTyping: false, // Keep everything as strings for validation
-        skipEmptyLines: 'greedy',
-        newline: '', // Auto-detect line endings
-        quoteChar: '"', // Handle quoted fields properly
-        escapeChar: '"', // Handle escaped quotes
-        delimiter: ',', // Explicit comma delimiter
-        transformHeader: (header) => header.trim(), // Trim header whitespace
-        fastMode: false, // Disable fast mode for better error handling
-        delimitersToGuess: [',', '\t', '|', ';'], // Try different delimiters if comma fails
-        transform: (value, field) => {
-          // Special handling for component fields that might contain unquoted commas
-          if (field && field.toLowerCase().includes('component') && value) {
-            // If this looks like a truncated chemical name (starts with digit and is very short),
-            // log a warning about potential CSV parsing issues
-            if (/^\d+$/.test(value.trim()) && value.trim().length < 3) {
-              console.warn(`Potential CSV parsing issue detected for field "${field}": value "${value}" may be truncated due to unquoted commas. Consider quoting this field in the CSV.`);
-            }
-          }
-          return value;
-        }
+    // Large files are never loaded as a whole - preview just the first rows from the stream.
+    // JSON arrays can't be streamed, so they're read whole here as when they're applied
+    if (isPreview && file.size > STREAMING_THRESHOLD_BYTES && isStreamableFile(file)) {
+      console.log(`Preview mode: Streaming first ${maxPreviewRows} rows of ${file.size} byte file`);
+      return await previewCSVStream(file, maxPreviewRows, {
+        partial: options.partial,
+        columnMapping: options.columnMapping,
+        matchKey: options.matchKey,
+        unitNormalization: options.unitNormalization,
+        definitionKeys: options.definitionKeys
       });
-    } catch (parseError) {
-      console.warn('Standard CSV parsing failed, trying fallback method:', parseError.message);
-
-      // Fallback: Try with more lenient settings
-      results = Papa.parse(csvText, {
-        header: true,
-        skipEmptyLines: 'greedy',
-        dynamicTyping: false,
-        fastMode: false,
-        delimiter: ',',
-        quoteChar: '"',
-        escapeChar: '"',
-        transformHeader: (header) => header.trim(),
-        // More lenient settings
-        skipFirstNLines: 0,
-        preview: 0,
-        worker: false,
-        comments: false,
-        step: undefined,
-        complete: undefined,
-        error: undefined,
-        download: false,
-        transform: (value, field) => {
-          // Same transform logic for fallback
-          if (field && field.toLowerCase().includes('component') && value) {
-            if (/^\d+$/.test(value.trim()) && value.trim().length < 3) {
-              console.warn(`Potential CSV parsing issue detected for field "${field}": value "${value}" may be truncated due to unquoted commas. Consider quoting this field in the CSV.`);
-            }
-          }
-          return value;
-        }
+    }
+
+    // Decode from the raw bytes so the encoding is detected rather than assumed to be UTF-8
+    const decoded = decodeBytes(new Uint8Array(await file.arrayBuffer()));
+    let csvText = decoded.text;
+
+    const jsonFormat = detectJSONFormat(file.name, csvText);
+    if (jsonFormat) {
+      console.log(`Parsing ${jsonFormat.toUpperCase()} input (encoding: ${decoded.encoding})`);
+      return parseJSONFile(csvText, jsonFormat, {
+        preview: isPreview,
+        partial: options.partial,
+        columnMapping: options.columnMapping,
+        matchKey: options.matchKey,
+        unitNormalization: options.unitNormalization,
+        definitionKeys: options.definitionKeys,
+        maxPreviewRows,
+        encoding: decoded.encoding
       });
     }
 
+    console.log('Starting CSV parsing...');
+    console.log(`CSV file size: ${csvText.length} characters, detected encoding: ${decoded.encoding}${decoded.bom ? ' (BOM)' : ''}`);
+
+    // Parse strictly per RFC 4180 first: quoted fields keep their embedded newlines
+    // (paragraph breaks in Body (HTML)) exactly as written
+    const parseOptions = getPapaParseOptions({ preview: isPreview ? maxPreviewRows : 0 });
+    let results = Papa.parse(csvText, parseOptions);
+    let repair = null;
+
+    // Fall back to the repair heuristics only when the file is actually malformed
+    const structuralErrors = results.errors.filter(error => MALFORMED_CSV_ERROR_TYPES.includes(error.type));
+    if (structuralErrors.length > 0) {
+      console.warn(`CSV is malformed (${structuralErrors.length} structural errors), retrying with repair heuristics`);
+
+      const repairedText = preprocessCSVForComponents(
+        fixMultilineCSV(
+          csvText
+            .replace(/\r\n/g, '\n') // Normalize line endings
+            .replace(/\r/g, '\n')   // Handle old Mac line endings
+            .trim() // Remove leading/trailing whitespace
+        )
+      );
+
+      results = Papa.parse(repairedText, parseOptions);
+      csvText = repairedText;
+      repair = {
+        reasons: summarizeParseErrors(structuralErrors)
+      };
+    }
+
     if (results.errors.length > 0) {
       console.error('CSV parsing errors:', results.errors);
       console.error('CSV preview (first 500 chars):', csvText.substring(0, 500));
       console.error('Number of lines in CSV:', csvText.split('\n').length);
 
       // Try to provide more helpful error messages
-      const errorMessages = results.errors.map(error => {
-        let message = error.message || 'Unknown parsing error';
-        if (error.row !== undefined) {
-          message = `Row ${error.row + 1}: ${message}`;
-        }
-        if (error.code) {
-          message += ` (Code: ${error.code})`;
-        }
-        return message;
-      });
+      const errorMessages = summarizeParseErrors(results.errors);
 
       // If we have some data despite errors, log it for debugging
       if (results.data && results.data.length > 0) {
@@ -307,52 +431,486 @@ export async function parseCSV(file, options = {}) {
       throw new Error(`CSV parsing errors: ${errorMessages.join(', ')}`);
     }
 
-    const validatedData = validateCSVData(results.data, { preview: isPreview });
+    const encodingIssues = findUndecodableCharacters(results.data);
+    if (encodingIssues.length > 0) {
+      console.warn(`Found ${encodingIssues.length} undecodable characters (encoding: ${decoded.encoding})`);
+    }
+
+    const validatedData = validateCSVData(results.data, {
+      preview: isPreview,
+      partial: options.partial,
+      columnMapping: options.columnMapping,
+      matchKey: options.matchKey,
+      unitNormalization: options.unitNormalization,
+      definitionKeys: options.definitionKeys
+    });
 
     return {
       data: validatedData,
       errors: results.errors,
-      meta: results.meta
+      meta: {
+        ...results.meta,
+        encoding: decoded.encoding,
+        encodingIssues,
+        repaired: Boolean(repair),
+        repairReasons: repair ? repair.reasons : []
+      }
     };
   } catch (error) {
-    throw new Error(`Failed to parse CSV: ${error.message}`);
+    const parseError = new Error(`Failed to parse CSV: ${error.message}`);
+    // Keep the worksheet list so the user can pick a different sheet after a failure
+    parseError.sheetNames = error.sheetNames;
+    throw parseError;
+  }
+}
+
+/**
+ * Decode the file's byte stream into text chunks without splitting multi-byte characters.
+ * The encoding is detected from the first ENCODING_SAMPLE_BYTES and reported through onEncoding.
+ */
+async function* decodeFileStream(file, { onBytes, onEncoding }) {
+  let decoder = null;
+  let sample = [];
+  let sampleLength = 0;
+
+  const startDecoding = () => {
+    const bytes = Buffer.concat(sample);
+    const { encoding } = detectEncoding(bytes);
+    onEncoding(encoding);
+    decoder = createDecoder(encoding);
+    sample = null;
+    return decoder.decode(bytes);
+  };
+
+  for await (const bytes of file.stream()) {
+    onBytes(bytes.length);
+
+    if (decoder) {
+      yield decoder.decode(bytes);
+      continue;
+    }
+
+    // Hold the first chunks back until there is enough to detect the encoding from
+    sample.push(bytes);
+    sampleLength += bytes.length;
+    if (sampleLength >= ENCODING_SAMPLE_BYTES) {
+      yield startDecoding();
+    }
+  }
+
+  if (!decoder) {
+    yield startDecoding();
+  }
+
+  const rest = decoder.decode();
+  if (rest) yield rest;
+}
+
+// Rows parsed ahead of the consumer before the stream is paused
+const STREAM_QUEUE_ROWS = 1000;
+
+/**
+ * Parse a decoded text stream as CSV rows with Papa Parse, using the same options as
+ * whole-file parsing. Papa's errors for a row (unbalanced quotes, a wrong field count)
+ * are passed to onParseError as { row, messages } before the row is yielded, with row
+ * numbers counted like the validation errors'.
+ */
+async function* parseCSVStream(textChunks, onParseError = () => {}) {
+  const source = Readable.from(textChunks);
+  const queue = [];
+  let parser = null;
+  let finished = false;
+  let failure = null;
+  let wake = null;
+  let rowNumber = 0;
+
+  const notify = () => {
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
+  const waitForRows = () => new Promise(resolve => { wake = resolve; });
+
+  Papa.parse(source, {
+    ...getPapaParseOptions(),
+    step: (results, handle) => {
+      parser = handle;
+      queue.push(results);
+      // Pausing the parser alone would leave the rest of the file buffering up as text
+      if (queue.length >= STREAM_QUEUE_ROWS && !handle.paused()) {
+        handle.pause();
+        source.pause();
+      }
+      notify();
+    },
+    complete: () => {
+      finished = true;
+      notify();
+    },
+    error: (error) => {
+      failure = error;
+      notify();
+    }
+  });
+
+  try {
+    while (true) {
+      if (queue.length > 0) {
+        const results = queue.shift();
+        if (parser && parser.paused() && queue.length < STREAM_QUEUE_ROWS / 2) {
+          parser.resume();
+          source.resume();
+        }
+
+        rowNumber++;
+        if (results.errors.length > 0) {
+          const row = rowNumber;
+          onParseError({
+            row,
+            messages: summarizeParseErrors(results.errors.map(error => ({ ...error, row: row - 1 })))
+          });
+        }
+        yield results.data;
+      } else if (failure) {
+        throw failure;
+      } else if (finished) {
+        return;
+      } else {
+        await waitForRows();
+      }
+    }
+  } finally {
+    if (parser && !finished) parser.abort();
+    source.destroy();
+  }
+}
+
+/**
+ * Parse a decoded text stream as NDJSON, one row object per line
+ */
+async function* parseNDJSONStream(textChunks) {
+  let buffered = '';
+  let rowNumber = 0;
+
+  for await (const text of textChunks) {
+    buffered += text;
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+
+    for (const line of lines) {
+      const row = parseNDJSONLine(line, rowNumber + 1);
+      if (row) {
+        rowNumber++;
+        yield row;
+      }
+    }
+  }
+
+  const lastRow = parseNDJSONLine(buffered, rowNumber + 1);
+  if (lastRow) yield lastRow;
+}
+
+/**
+ * Pick the row parser for a stream from the file name, or from the first
+ * decoded text when the extension doesn't say
+ */
+async function* parseRowStream(file, textChunks, onParseError) {
+  const iterator = textChunks[Symbol.asyncIterator]();
+  const { value: firstText = '' } = await iterator.next();
+  const remaining = (async function* () {
+    yield firstText;
+    yield* { [Symbol.asyncIterator]: () => iterator };
+  })();
+
+  const jsonFormat = detectJSONFormat(file.name, firstText);
+  if (jsonFormat === JSON_FORMATS.JSON) {
+    throw new Error('JSON array files over 5MB cannot be streamed. Export as NDJSON (one object per line) instead.');
+  }
+
+  if (jsonFormat === JSON_FORMATS.NDJSON) {
+    yield* parseNDJSONStream(remaining);
+  } else {
+    yield* parseCSVStream(remaining, onParseError);
+  }
+}
+
+/**
+ * Stream a CSV (or NDJSON) file and yield validated rows in chunks of `chunkSize`.
+ * Only one chunk is held in memory at a time, so this is the path for files
+ * too large for parseCSV. Papa Parse handles quoted newlines natively here,
+ * so the whole-text repair heuristics (fixMultilineCSV etc.) are not applied.
+ *
+ * Each chunk is { data, format, rejected, warnings, rowWarnings, casEntries, rowOffset, bytesRead, encoding, encodingIssues }
+ * where data/format/rejected/warnings/rowWarnings/casEntries are what validateCSVData returns for the chunk's rows.
+ * Pass options.partial to quarantine invalid rows instead of failing the stream,
+ * and options.columnMapping to rename columns before validation. Rows Papa Parse
+ * couldn't split cleanly are rejected (or fail the stream) like invalid rows.
+ */
+export async function* streamCSV(file, options = {}) {
+  const chunkSize = options.chunkSize || STREAM_CHUNK_ROWS;
+  let bytesRead = 0;
+  let encoding = null;
+
+  const textChunks = decodeFileStream(file, {
+    onBytes: (length) => { bytesRead += length; },
+    onEncoding: (detected) => { encoding = detected; }
+  });
+
+  let rows = [];
+  let rowOffset = 0;
+  let format = null;
+  // Repeated match values are found across chunks too
+  const matchedRows = new Map();
+  // Papa's errors by row number for the rows of the current chunk
+  const parseErrors = new Map();
+
+  const flush = () => {
+    if (parseErrors.size > 0 && !options.partial) {
+      throw new Error(`CSV parsing errors: ${[...parseErrors.values()].flat().join(', ')}`);
+    }
+
+    let validated = validateCSVData(rows, {
+      rowOffset,
+      partial: options.partial,
+      columnMapping: options.columnMapping,
+      matchKey: options.matchKey,
+      unitNormalization: options.unitNormalization,
+      definitionKeys: options.definitionKeys,
+      matchedRows
+    });
+
+    // Every chunk shares the header row, so a format change means a broken file
+    if (format && validated.format !== format) {
+      throw new Error(`CSV format changed from '${format}' to '${validated.format}' at row ${rowOffset + 1}`);
+    }
+    format = validated.format;
+
+    // A malformed row (its columns shifted by a stray quote or comma) is never applied
+    if (parseErrors.size > 0) {
+      const malformed = [...parseErrors].map(([row, errors]) => {
+        const fields = rows[row - rowOffset - 1] || {};
+        return { row, handle: String(fields.Handle || fields.handle || '').trim(), errors };
+      });
+      validated = {
+        ...validated,
+        data: validated.data.filter(row => !parseErrors.has(row.row)),
+        rejected: [...validated.rejected.filter(row => !parseErrors.has(row.row)), ...malformed],
+        casEntries: (validated.casEntries || []).filter(entry => !parseErrors.has(entry.row))
+      };
+      parseErrors.clear();
+    }
+
+    const encodingIssues = findUndecodableCharacters(rows, rowOffset);
+    const chunk = { ...validated, rowOffset, bytesRead, encoding, encodingIssues };
+    rowOffset += rows.length;
+    rows = [];
+    return chunk;
+  };
+
+  const onParseError = ({ row, messages }) => parseErrors.set(row, messages);
+
+  for await (const row of parseRowStream(file, textChunks, onParseError)) {
+    rows.push(row);
+    if (rows.length >= chunkSize) {
+      yield flush();
+    }
+  }
+
+  if (rows.length > 0) {
+    yield flush();
+  }
+}
+
+// Caps on the validation errors (and row warnings) and destructive rows a stream scan keeps; the rest are only counted
+const MAX_SCAN_ERRORS = 100;
+const MAX_SCAN_DESTRUCTIVE = 500;
+
+/**
+ * Validate a whole streamed file without applying or keeping its rows, so an invalid
+ * row further down is found before anything from the file is written. Returns
+ * { rows, format, errors, errorCount, destructive, destructiveCount, warnings }: errors are the
+ * first validation errors, destructive the first rows that archive or delete products, and
+ * warnings the first row warnings plus the CAS number conflicts found across the whole file.
+ */
+export async function scanCSVStream(file, options = {}) {
+  const scan = { rows: 0, format: null, errors: [], errorCount: 0, destructive: [], destructiveCount: 0, warnings: [] };
+  const casEntries = [];
+  const rowWarnings = [];
+
+  for await (const chunk of streamCSV(file, { ...options, partial: true })) {
+    const rejected = chunk.rejected || [];
+    scan.format = chunk.format;
+    scan.rows += chunk.data.length + rejected.length;
+    casEntries.push(...(chunk.casEntries || []));
+    rowWarnings.push(...(chunk.rowWarnings || []).slice(0, MAX_SCAN_ERRORS - rowWarnings.length));
+
+    rejected.forEach(row => {
+      scan.errorCount += row.errors.length;
+      scan.errors.push(...row.errors.slice(0, MAX_SCAN_ERRORS - scan.errors.length));
+    });
+
+    if (chunk.format === 'products') {
+      const destructive = chunk.data.filter(row => DESTRUCTIVE_ACTIONS.includes(row.action));
+      scan.destructiveCount += destructive.length;
+      scan.destructive.push(...destructive.slice(0, MAX_SCAN_DESTRUCTIVE - scan.destructive.length).map(row => ({
+        row: row.row,
+        handle: row.matchValue || row.handle,
+        action: row.action
+      })));
+    }
+  }
+
+  scan.warnings = [...rowWarnings, ...findCASConflicts(casEntries)];
+  return scan;
+}
+
+/**
+ * Parse only the first rows of a large file for preview
+ */
+async function previewCSVStream(file, maxRows, options = {}) {
+  const chunks = streamCSV(file, { ...options, chunkSize: maxRows });
+  const { value: firstChunk } = await chunks.next();
+  await chunks.return();
+
+  if (!firstChunk) {
+    throw new Error('CSV file contains no data rows');
+  }
+
+  return {
+    data: { data: firstChunk.data, format: firstChunk.format, rejected: firstChunk.rejected },
+    errors: [],
+    meta: {
+      streamed: true,
+      encoding: firstChunk.encoding,
+      encodingIssues: firstChunk.encodingIssues
+    }
+  };
+}
+
+/**
+ * Read the column headers of an upload without validating it, for the column mapping step.
+ * Headers are collected from the first rows, since JSON rows don't all share the same keys.
+ */
+export async function readFileHeaders(file, options = {}) {
+  const sampleRows = 25;
+  const collectHeaders = (rows) => [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+  try {
+    if (isWorkbookFile(file)) {
+      const { rows, sheetName, sheetNames } = await parseWorkbook(file, { sheetName: options.sheetName });
+      return { headers: collectHeaders(rows.slice(0, sampleRows)), sheetName, sheetNames };
+    }
+
+    // Small files and JSON arrays (which can't be streamed) are read whole
+    if (file.size <= STREAMING_THRESHOLD_BYTES || !isStreamableFile(file)) {
+      const { text } = decodeBytes(new Uint8Array(await file.arrayBuffer()));
+      const jsonFormat = detectJSONFormat(file.name, text);
+      const rows = jsonFormat
+        ? parseJSONRows(text, jsonFormat).slice(0, sampleRows)
+        : Papa.parse(text, getPapaParseOptions({ preview: sampleRows })).data;
+      return { headers: collectHeaders(rows) };
+    }
+
+    const rows = [];
+    const textChunks = decodeFileStream(file, { onBytes: () => {}, onEncoding: () => {} });
+    for await (const row of parseRowStream(file, textChunks)) {
+      rows.push(row);
+      if (rows.length >= sampleRows) break;
+    }
+    return { headers: collectHeaders(rows) };
+  } catch (error) {
+    const headerError = new Error(`Failed to read headers: ${error.message}`);
+    headerError.sheetNames = error.sheetNames;
+    throw headerError;
   }
 }
 
+// Lowercased headers of the variant fields that can be updated (Shopify export names and JSON keys)
+const VARIANT_FIELD_HEADERS = [
+  'variant price', 'price',
+  'variant compare at price', 'compareatprice',
+  'variant barcode', 'barcode',
+  'variant weight', 'variant grams', 'weight',
+  'variant inventory policy', 'inventorypolicy'
+];
+
+// Metaobjects format: the entry's type and handle; every other column is a field key
+const METAOBJECT_TYPE_HEADERS = ['metaobject type', 'metaobject_type', 'metaobjecttype'];
+const METAOBJECT_HANDLE_HEADERS = ['metaobject handle', 'metaobject_handle', 'metaobjecthandle'];
+
 /**
  * Detect CSV format based on headers
+ * With a match key other than handle (options.matchKey), the Handle column is optional.
  */
-export function detectCSVFormat(data) {
+export function detectCSVFormat(data, options = {}) {
   if (data.length === 0) return 'unknown';
 
   const headers = Object.keys(data[0]).map(h => h.toLowerCase());
+  const matchedByHandle = parseMatchKey(options.matchKey).type === 'handle';
 
-  // Check for product properties format
-  const productHeaders = ['handle', 'title'];
-  const hasProductHeaders = productHeaders.every(header =>
-    headers.some(h => h.includes(header))
-  );
+  // Check for metaobjects format first: its field columns may include a title
+  if (METAOBJECT_TYPE_HEADERS.some(header => headers.includes(header)) &&
+      METAOBJECT_HANDLE_HEADERS.some(header => headers.includes(header))) {
+    return 'metaobjects';
+  }
 
-  // Check for metafields format
-  const metafieldHeaders = ['handle', 'namespace', 'key', 'value'];
+  // Check for product properties format
+  // A file that only retires products (Handle, Action) has no Title
+  const hasTitle = headers.some(h => h.includes('title'));
+  const hasActionOnly = headers.includes('action') && !headers.includes('namespace');
+  // ...and one that only sets metafields has just Handle and metafield columns,
+  // or only collections just Handle and Collections
+  const hasMetafieldColumns = Object.keys(data[0]).some(header => parseMetafieldHeader(header, options.definitionKeys));
+  const hasCollections = headers.includes('collections');
+  const hasProductHeaders = (!matchedByHandle || headers.some(h => h.includes('handle'))) &&
+    (hasTitle || hasActionOnly || hasMetafieldColumns || hasCollections);
+
+  // Check for metafields format (a file that only deletes metafields may have no value column)
+  const metafieldHeaders = matchedByHandle
+    ? ['handle', 'namespace', 'key']
+    : ['namespace', 'key'];
   const hasMetafieldHeaders = metafieldHeaders.every(header =>
     headers.includes(header)
-  );
+  ) && (headers.includes('value') || headers.includes('action'));
+
+  // Check for variants format: a SKU (or Handle + option values) to find the variant by,
+  // variant columns to update, and no product Title
+  const hasSku = headers.includes('variant sku') || headers.includes('sku');
+  const hasOptionValues = headers.includes('handle') &&
+    headers.some(h => /^option[123]( value)?$/.test(h));
+  const hasVariantFields = VARIANT_FIELD_HEADERS.some(header => headers.includes(header));
+  const hasVariantHeaders = (hasSku || hasOptionValues) && (hasVariantFields || (hasSku && hasOptionValues));
+
+  // Check for inventory format: SKU and location with a quantity or a delta
+  const hasInventoryHeaders = hasSku && headers.includes('location') &&
+    ['available', 'adjust by', 'adjustby'].some(header => headers.includes(header));
 
   if (hasProductHeaders) return 'products';
+  if (hasInventoryHeaders) return 'inventory';
+  if (hasVariantHeaders) return 'variants';
   if (hasMetafieldHeaders) return 'metafields';
   return 'unknown';
 }
 
 /**
  * Validate CSV data structure and required fields
+ * With options.partial, invalid rows are returned in `rejected` (with their reasons)
+ * instead of failing the whole file. options.columnMapping (see columnMapping.js)
+ * renames or drops columns before the format is detected.
  */
 export function validateCSVData(data, options = {}) {
-  const format = detectCSVFormat(data);
+  data = applyColumnMapping(data, options.columnMapping);
+  const matchKey = options.matchKey;
+  const unitNormalization = options.unitNormalization;
+  const definitionKeys = options.definitionKeys;
+  const format = detectCSVFormat(data, { matchKey, definitionKeys });
   const isPreview = options.preview || false;
+  const rowOffset = options.rowOffset || 0;
+  const partial = options.partial || false;
 
   if (format === 'unknown') {
-    throw new Error('Unknown CSV format. Expected either product properties or metafields format.');
+    throw new Error('Unknown CSV format. Expected product properties, variants, inventory, metafields or metaobjects format.');
   }
 
   // In preview mode, add a note about limited validation
@@ -361,121 +919,520 @@ export function validateCSVData(data, options = {}) {
   }
 
   if (format === 'products') {
-    return validateProductCSVData(data);
+    return validateProductCSVData(data, { rowOffset, partial, matchKey, unitNormalization, definitionKeys, matchedRows: options.matchedRows });
+  } else if (format === 'variants') {
+    return validateVariantCSVData(data, { rowOffset, partial });
+  } else if (format === 'inventory') {
+    return validateInventoryCSVData(data, { rowOffset, partial });
+  } else if (format === 'metaobjects') {
+    return validateMetaobjectCSVData(data, { rowOffset, partial });
   } else {
-    return validateMetafieldCSVData(data);
+    return validateMetafieldCSVData(data, { rowOffset, partial, matchKey, unitNormalization });
   }
 }
 
+/**
+ * Values of the product-properties Action column. Archive and delete are destructive
+ * and are only applied when the import is explicitly confirmed.
+ */
+export const PRODUCT_ACTIONS = ['update', 'archive', 'unarchive', 'delete'];
+export const DESTRUCTIVE_ACTIONS = ['archive', 'delete'];
+
+/**
+ * Cell value that deletes a metafield instead of setting it, in either format
+ * (an empty cell leaves the metafield as it is)
+ */
+export const METAFIELD_DELETE_MARKER = '__DELETE__';
+
+// Metafield headers read into their own fields by validateProductCSVData rather than as generic metafield columns
+const BUILT_IN_METAFIELD_HEADERS = new Set(
+  COLUMN_MAPPING_TARGETS.filter(target => target.group === 'Metafields').map(target => target.value)
+);
+
+/**
+ * Convert component concentrations to the configured unit (see unitNormalizer.js),
+ * in place. Returns the problems found.
+ */
+function normalizeComponentUnits(components, settings) {
+  const problems = [];
+
+  components.forEach(component => {
+    if (!component.concentration) return;
+
+    const result = normalizeQuantity(component.concentration, ['concentration'], settings);
+    if (result.error) {
+      problems.push(`'${component.component}' concentration ${result.error}`);
+    } else {
+      component.concentration = result.value;
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Normalize the units of a Volume or Unit/Packs value when normalization is on.
+ * Returns { value } or { error }.
+ */
+function normalizeColumnUnits(value, column, settings) {
+  if (!settings || !value || value === METAFIELD_DELETE_MARKER) return { value };
+  return column === 'unit_packs'
+    ? normalizeUnitPacks(value, settings)
+    : normalizeQuantity(value, ['volume'], settings);
+}
+
+/**
+ * The warning for a components cell whose plain-text JSON entries became component objects
+ */
+function componentConversionWarning(converted, row) {
+  return `Row ${row}: Components: ${converted} plain-text ${converted === 1 ? 'entry' : 'entries'} converted to component objects ({"component": "..."})`;
+}
+
+/**
+ * The CAS numbers of a row's components, for findCASConflicts
+ */
+function componentCASEntries(components, row) {
+  return components
+    .filter(component => component.cas)
+    .map(component => ({ row, cas: component.cas, name: component.component }));
+}
+
 /**
  * Validate product properties CSV data
  */
-export function validateProductCSVData(data) {
+export function validateProductCSVData(data, options = {}) {
   const validatedRows = [];
   const errors = [];
-
-  data.forEach((row, index) => {
+  const rejected = [];
+  const casEntries = [];
+  const rowWarnings = [];
+  const unitNormalization = options.unitNormalization || null;
+  const rowOffset = options.rowOffset || 0;
+  const matchKey = parseMatchKey(options.matchKey);
+  // Row number of each match value so far; streamCSV shares one map across chunks
+  const matchedRows = options.matchedRows || new Map();
+
+  data.forEach((row, rowIndex) => {
     const rowErrors = [];
+    const index = rowOffset + rowIndex;
 
-    // Handle is required
-    if (!row.Handle && !row.handle) {
+    // Handle is required, unless products are matched by another column
+    if (matchKey.type === 'handle' && !row.Handle && !row.handle) {
       rowErrors.push(`Row ${index + 1}: Missing required field 'Handle'`);
     }
 
     const handle = row.Handle || row.handle;
+    const matchValue = matchKey.type === 'handle' ? (handle || '').trim() : getMatchValue(row, matchKey);
+
+    if (matchKey.type !== 'handle' && !matchValue) {
+      rowErrors.push(`Row ${index + 1}: Missing ${matchKey.label} to match the product by`);
+    }
+
+    // With another match key only one row per product is applied, so a repeated value is an error
+    if (matchKey.type !== 'handle' && matchedRows.has(matchValue)) {
+      rowErrors.push(`Row ${index + 1}: Same ${matchKey.label} '${matchValue}' as row ${matchedRows.get(matchValue)}; each product can only be updated by one row`);
+    }
 
     // Validate handle format (Shopify allows a wide range of URL-safe characters including parentheses and ampersands)
     if (handle && !/^[a-z0-9_.\-()&]+$/.test(handle.trim())) {
       rowErrors.push(`Row ${index + 1}: Invalid handle format. Handle contains unsupported characters.`);
     }
 
-    // Validate Published field if present
-    if (row.Published && !['true', 'false', '1', '0', 'TRUE', 'FALSE'].includes(row.Published.toString().toLowerCase())) {
+    const action = (row.Action || row.action || 'update').trim().toLowerCase();
+    if (!PRODUCT_ACTIONS.includes(action)) {
+      rowErrors.push(`Row ${index + 1}: Invalid Action '${action}'. Use ${PRODUCT_ACTIONS.join(', ')}`);
+    }
+
+    // Template to duplicate when the handle doesn't exist yet
+    const templateHandle = (row['Template Handle'] || row.templateHandle || '').trim();
+    if (templateHandle && !/^[a-z0-9_.\-()&]+$/.test(templateHandle)) {
+      rowErrors.push(`Row ${index + 1}: Invalid Template Handle format. Handle contains unsupported characters.`);
+    }
+
+    // Validate Published field if present (camelCase keys come from JSON input)
+    const published = row.Published || row.published;
+    if (published && !['true', 'false', '1', '0', 'TRUE', 'FALSE'].includes(published.toString().toLowerCase())) {
       rowErrors.push(`Row ${index + 1}: Published field must be true/false or 1/0`);
     }
 
     // Validate expiration months field if present (should be a number)
     const expirationMonths = row['expiration months (product.metafields.custom.expiration_months)'] || row.expirationMonths || row['expiration months'];
-    if (expirationMonths && !/^\d+$/.test(expirationMonths.toString().trim())) {
+    if (expirationMonths && expirationMonths.toString().trim() !== METAFIELD_DELETE_MARKER &&
+        !/^\d+$/.test(expirationMonths.toString().trim())) {
       rowErrors.push(`Row ${index + 1}: Expiration months must be a positive integer`);
     }
 
+    // Components are parsed into their { component, concentration, matrix, cas } model, so a
+    // malformed entry is reported instead of being stored as-is
+    let components = (row['Components (product.metafields.custom.components)'] || row.components || '').trim();
+    let parsedComponents = [];
+    let componentsConverted = 0;
+    if (components && components !== METAFIELD_DELETE_MARKER) {
+      const parsed = parseComponents(components);
+      componentsConverted = parsed.converted;
+      parsed.errors.forEach(error => rowErrors.push(`Row ${index + 1}: Components: ${error}`));
+      if (unitNormalization) {
+        normalizeComponentUnits(parsed.components, unitNormalization)
+          .forEach(error => rowErrors.push(`Row ${index + 1}: Components: ${error}`));
+      }
+      parsedComponents = parsed.components;
+      components = formatComponents(parsed.components);
+    }
+
+    // With unit normalization, Volume and Unit/Packs are converted to the configured units
+    const columnUnits = {};
+    [
+      ['volume', 'Volume', row['Volume (product.metafields.custom.volume)'] || row.volume || row.Volume],
+      ['unit_packs', 'Unit/Packs', row['Unit/Packs (product.metafields.custom.unit_packs)'] || row.unitPacks || row['Unit/Packs']]
+    ].forEach(([column, label, value]) => {
+      const result = normalizeColumnUnits((value || '').trim(), column, unitNormalization);
+      if (result.error) {
+        rowErrors.push(`Row ${index + 1}: ${label}: ${result.error}`);
+      }
+      columnUnits[column] = result.value || '';
+    });
+
+    // CAS numbers are normalized and their check digit verified
+    let casNumber = (row['CAS Number (product.metafields.custom.cas_number)'] || row.casNumber || row['CAS Number'] || row.cas_number || '').trim();
+    if (casNumber && casNumber !== METAFIELD_DELETE_MARKER) {
+      const result = normalizeCASNumber(casNumber);
+      if (result.error) {
+        rowErrors.push(`Row ${index + 1}: CAS Number: ${result.error}`);
+      } else {
+        casNumber = result.cas;
+      }
+    }
+
+    // Any other metafield columns; their types are resolved from the shop's definitions when processed
+    const metafields = [];
+    Object.keys(row).forEach(header => {
+      const column = parseMetafieldHeader(header, options.definitionKeys);
+      if (!column || BUILT_IN_METAFIELD_HEADERS.has(header)) return;
+
+      const value = row[header] === undefined || row[header] === null ? '' : String(row[header]).trim();
+      if (!value) return;
+
+      if (column.type && !METAFIELD_TYPES.includes(column.type)) {
+        rowErrors.push(`Row ${index + 1}: Invalid metafield type '${column.type}' in column '${header}'`);
+        return;
+      }
+      metafields.push({ ...column, value });
+    });
+
     if (rowErrors.length > 0) {
       errors.push(...rowErrors);
+      rejected.push({ row: index + 1, handle: handle ? handle.trim() : matchValue, errors: rowErrors });
     } else {
       const validatedRow = {
+        row: index + 1,
         handle: handle ? handle.trim() : '',
-        title: fixEncodingIssues(row.Title || ''),
-        bodyHtml: fixEncodingIssues(row['Body (HTML)'] || row.bodyHtml || ''),
-        vendor: fixEncodingIssues(row.Vendor || ''),
-        productType: fixEncodingIssues(row.Type || ''),
-        tags: fixEncodingIssues(row.Tags || ''),
-        published: row.Published ? ['true', '1', 'TRUE'].includes(row.Published.toString()) : undefined,
+        matchValue,
+        action,
+        templateHandle,
+        title: row.Title || row.title || '',
+        bodyHtml: row['Body (HTML)'] || row.bodyHtml || '',
+        vendor: row.Vendor || row.vendor || '',
+        productType: row.Type || row.productType || '',
+        tags: row.Tags || row.tags || '',
+        collections: row.Collections || row.collections || '',
+        published: published ? ['true', '1', 'TRUE'].includes(published.toString()) : undefined,
 
         // Existing metafields
-        components: fixEncodingIssues(row['Components (product.metafields.custom.components)'] || row.components || ''),
+        components,
 
         // New metafields
-        shippingInfo: fixEncodingIssues(row['Shipping Info (product.metafields.custom.shipping_info)'] || row.shippingInfo || row['Shipping Info'] || ''),
-        unitPacks: fixEncodingIssues(row['Unit/Packs (product.metafields.custom.unit_packs)'] || row.unitPacks || row['Unit/Packs'] || ''),
-        coa: fixEncodingIssues(row['COA (product.metafields.custom.coa)'] || row.coa || row.COA || ''),
-        sds: fixEncodingIssues(row['SDS (product.metafields.custom.sds)'] || row.sds || row.SDS || ''),
-        storageConditions: fixEncodingIssues(row['Storage Conditions (product.metafields.custom.storage_conditions)'] || row.storageConditions || row['Storage Conditions'] || ''),
-        volume: fixEncodingIssues(row['Volume (product.metafields.custom.volume)'] || row.volume || row.Volume || ''),
-        matrix: fixEncodingIssues(row['Matrix (product.metafields.custom.matrix)'] || row.matrix || row.Matrix || ''),
-        casNumber: fixEncodingIssues(row['CAS Number (product.metafields.custom.cas_number)'] || row.casNumber || row['CAS Number'] || row.cas_number || ''),
-        catalogNumber: fixEncodingIssues(row['Catalog Number (product.metafields.custom.catalog_number)'] || row.catalogNumber || row['Catalog Number'] || row.catalog_number || ''),
-        dotHazardous: fixEncodingIssues(row['DOT Hazardous (product.metafields.custom.dot_hazardous)'] || row.dotHazardous || row['DOT Hazardous'] || row.dot_hazardous || ''),
-        expirationMonths: row['expiration months (product.metafields.custom.expiration_months)'] || row.expirationMonths || row['expiration months'] || ''
+        shippingInfo: row['Shipping Info (product.metafields.custom.shipping_info)'] || row.shippingInfo || row['Shipping Info'] || '',
+        unitPacks: columnUnits.unit_packs,
+        coa: row['COA (product.metafields.custom.coa)'] || row.coa || row.COA || '',
+        sds: row['SDS (product.metafields.custom.sds)'] || row.sds || row.SDS || '',
+        storageConditions: row['Storage Conditions (product.metafields.custom.storage_conditions)'] || row.storageConditions || row['Storage Conditions'] || '',
+        volume: columnUnits.volume,
+        matrix: row['Matrix (product.metafields.custom.matrix)'] || row.matrix || row.Matrix || '',
+        casNumber,
+        catalogNumber: row['Catalog Number (product.metafields.custom.catalog_number)'] || row.catalogNumber || row['Catalog Number'] || row.catalog_number || '',
+        dotHazardous: row['DOT Hazardous (product.metafields.custom.dot_hazardous)'] || row.dotHazardous || row['DOT Hazardous'] || row.dot_hazardous || '',
+        expirationMonths: row['expiration months (product.metafields.custom.expiration_months)'] || row.expirationMonths || row['expiration months'] || '',
+
+        // Generic metafield columns
+        metafields
       };
 
       validatedRows.push(validatedRow);
+      if (matchKey.type !== 'handle') {
+        matchedRows.set(matchValue, index + 1);
+      }
+      casEntries.push(...componentCASEntries(parsedComponents, index + 1));
+      if (componentsConverted > 0) {
+        rowWarnings.push(componentConversionWarning(componentsConverted, index + 1));
+      }
     }
   });
 
-  if (errors.length > 0) {
+  if (errors.length > 0 && !options.partial) {
     throw new Error(`CSV validation failed:\n${errors.join('\n')}`);
   }
 
-  return { data: validatedRows, format: 'products' };
+  return { data: validatedRows, format: 'products', rejected, warnings: [...rowWarnings, ...findCASConflicts(casEntries)], rowWarnings, casEntries };
+}
+
+// Accepted spellings of the weight unit and inventory policy enums
+const WEIGHT_UNITS = {
+  g: 'GRAMS', grams: 'GRAMS',
+  kg: 'KILOGRAMS', kilograms: 'KILOGRAMS',
+  oz: 'OUNCES', ounces: 'OUNCES',
+  lb: 'POUNDS', lbs: 'POUNDS', pounds: 'POUNDS'
+};
+const INVENTORY_POLICIES = ['DENY', 'CONTINUE'];
+
+/**
+ * Validate variants CSV data.
+ * A row finds its variant by Handle + option values when both are given (so the SKU
+ * column can change the SKU), otherwise by Variant SKU. Empty cells leave the field unchanged.
+ */
+export function validateVariantCSVData(data, options = {}) {
+  const validatedRows = [];
+  const errors = [];
+  const rejected = [];
+  const rowOffset = options.rowOffset || 0;
+  const isNumber = (value) => /^\d+(\.\d+)?$/.test(value);
+
+  data.forEach((row, rowIndex) => {
+    const rowErrors = [];
+    const index = rowOffset + rowIndex;
+
+    const handle = (row.Handle || row.handle || '').trim();
+    const sku = (row['Variant SKU'] || row.sku || row.SKU || '').trim();
+    const optionValues = [1, 2, 3]
+      .map(n => (row[`Option${n} Value`] || row[`option${n}`] || '').trim())
+      .filter(value => value);
+
+    const matchBy = handle && optionValues.length > 0 ? 'options' : 'sku';
+
+    if (matchBy === 'sku' && !sku) {
+      rowErrors.push(`Row ${index + 1}: Missing 'Variant SKU' (or 'Handle' with option values) to find the variant`);
+    }
+
+    if (handle && !/^[a-z0-9_.\-()&]+$/.test(handle)) {
+      rowErrors.push(`Row ${index + 1}: Invalid handle format. Handle contains unsupported characters.`);
+    }
+
+    const price = (row['Variant Price'] || row.price || '').trim();
+    if (price && !isNumber(price)) {
+      rowErrors.push(`Row ${index + 1}: Variant Price must be a number`);
+    }
+
+    const compareAtPrice = (row['Variant Compare At Price'] || row.compareAtPrice || '').trim();
+    if (compareAtPrice && !isNumber(compareAtPrice)) {
+      rowErrors.push(`Row ${index + 1}: Variant Compare At Price must be a number`);
+    }
+
+    // Shopify exports weight as Variant Grams; Variant Weight uses Variant Weight Unit
+    const grams = (row['Variant Grams'] || '').trim();
+    const weight = (row['Variant Weight'] || row.weight || '').trim() || grams;
+    const weightUnitValue = (row['Variant Weight Unit'] || row.weightUnit || '').trim();
+    const weightUnit = weightUnitValue
+      ? WEIGHT_UNITS[weightUnitValue.toLowerCase()] || weightUnitValue.toUpperCase()
+      : (weight && weight === grams ? 'GRAMS' : '');
+
+    if (weight && !isNumber(weight)) {
+      rowErrors.push(`Row ${index + 1}: Variant Weight must be a number`);
+    }
+    if (weight && !weightUnit) {
+      rowErrors.push(`Row ${index + 1}: Variant Weight Unit is required with Variant Weight (g, kg, oz or lb)`);
+    }
+    if (weightUnit && !Object.values(WEIGHT_UNITS).includes(weightUnit)) {
+      rowErrors.push(`Row ${index + 1}: Invalid Variant Weight Unit '${weightUnitValue}'. Use g, kg, oz or lb`);
+    }
+
+    const inventoryPolicy = (row['Variant Inventory Policy'] || row.inventoryPolicy || '').trim().toUpperCase();
+    if (inventoryPolicy && !INVENTORY_POLICIES.includes(inventoryPolicy)) {
+      rowErrors.push(`Row ${index + 1}: Variant Inventory Policy must be deny or continue`);
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+      rejected.push({ row: index + 1, handle: handle || sku, errors: rowErrors });
+    } else {
+      validatedRows.push({
+        row: index + 1,
+        handle,
+        sku,
+        optionValues,
+        matchBy,
+        price,
+        compareAtPrice,
+        barcode: (row['Variant Barcode'] || row.barcode || '').trim(),
+        weight,
+        weightUnit,
+        inventoryPolicy
+      });
+    }
+  });
+
+  if (errors.length > 0 && !options.partial) {
+    throw new Error(`CSV validation failed:\n${errors.join('\n')}`);
+  }
+
+  return { data: validatedRows, format: 'variants', rejected };
+}
+
+/**
+ * Validate inventory CSV data.
+ * Each row either sets the available quantity at a location or adjusts it by a delta.
+ */
+export function validateInventoryCSVData(data, options = {}) {
+  const validatedRows = [];
+  const errors = [];
+  const rejected = [];
+  const rowOffset = options.rowOffset || 0;
+
+  data.forEach((row, rowIndex) => {
+    const rowErrors = [];
+    const index = rowOffset + rowIndex;
+
+    const sku = (row['Variant SKU'] || row.SKU || row.sku || '').trim();
+    const location = (row.Location || row.location || '').trim();
+    const available = (row.Available || row.available || '').trim();
+    const adjustBy = (row['Adjust By'] || row['Adjust by'] || row.adjustBy || '').trim();
+
+    if (!sku) {
+      rowErrors.push(`Row ${index + 1}: Missing required field 'SKU'`);
+    }
+    if (!location) {
+      rowErrors.push(`Row ${index + 1}: Missing required field 'Location'`);
+    }
+
+    if (available && adjustBy) {
+      rowErrors.push(`Row ${index + 1}: Use either Available or Adjust By, not both`);
+    } else if (!available && !adjustBy) {
+      rowErrors.push(`Row ${index + 1}: Missing Available quantity or Adjust By delta`);
+    }
+
+    if (available && !/^\d+$/.test(available)) {
+      rowErrors.push(`Row ${index + 1}: Available must be a whole number of 0 or more`);
+    }
+    if (adjustBy && !/^[+-]?\d+$/.test(adjustBy)) {
+      rowErrors.push(`Row ${index + 1}: Adjust By must be a whole number, e.g. 5 or -3`);
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+      rejected.push({ row: index + 1, handle: sku, errors: rowErrors });
+    } else {
+      validatedRows.push({
+        row: index + 1,
+        sku,
+        location,
+        available: available ? parseInt(available, 10) : null,
+        adjustBy: adjustBy ? parseInt(adjustBy, 10) : null
+      });
+    }
+  });
+
+  if (errors.length > 0 && !options.partial) {
+    throw new Error(`CSV validation failed:\n${errors.join('\n')}`);
+  }
+
+  return { data: validatedRows, format: 'inventory', rejected };
+}
+
+/**
+ * Validate metaobjects CSV data.
+ * Each row creates or updates one metaobject entry, identified by its type and handle.
+ * Empty field cells leave the field unchanged.
+ */
+export function validateMetaobjectCSVData(data, options = {}) {
+  const validatedRows = [];
+  const errors = [];
+  const rejected = [];
+  const rowOffset = options.rowOffset || 0;
+
+  data.forEach((row, rowIndex) => {
+    const rowErrors = [];
+    const index = rowOffset + rowIndex;
+    const fields = [];
+    let type = '';
+    let handle = '';
+
+    Object.entries(row).forEach(([header, value]) => {
+      const name = header.trim().toLowerCase();
+      const cell = (value || '').trim();
+
+      if (METAOBJECT_TYPE_HEADERS.includes(name)) {
+        type = cell;
+      } else if (METAOBJECT_HANDLE_HEADERS.includes(name)) {
+        handle = cell;
+      } else if (cell) {
+        if (!/^[a-zA-Z0-9_-]+$/.test(header.trim())) {
+          rowErrors.push(`Row ${index + 1}: Invalid field key '${header}'. Use letters, numbers, underscores, and hyphens only.`);
+        } else {
+          fields.push({ key: header.trim(), value: cell });
+        }
+      }
+    });
+
+    if (!type) {
+      rowErrors.push(`Row ${index + 1}: Missing required field 'Metaobject Type'`);
+    } else if (!/^(\$app:)?[a-zA-Z0-9_-]+$/.test(type)) {
+      rowErrors.push(`Row ${index + 1}: Invalid metaobject type '${type}'`);
+    }
+
+    if (!handle) {
+      rowErrors.push(`Row ${index + 1}: Missing required field 'Metaobject Handle'`);
+    } else if (!/^[a-z0-9_-]+$/.test(handle)) {
+      rowErrors.push(`Row ${index + 1}: Invalid metaobject handle '${handle}'. Use lowercase letters, numbers, underscores, and hyphens only.`);
+    }
+
+    if (fields.length === 0 && rowErrors.length === 0) {
+      rowErrors.push(`Row ${index + 1}: No field values for metaobject '${type}/${handle}'`);
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+      rejected.push({ row: index + 1, handle: handle ? `${type}/${handle}` : type, errors: rowErrors });
+    } else {
+      validatedRows.push({ row: index + 1, type, handle, fields });
+    }
+  });
+
+  if (errors.length > 0 && !options.partial) {
+    throw new Error(`CSV validation failed:\n${errors.join('\n')}`);
+  }
+
+  return { data: validatedRows, format: 'metaobjects', rejected };
 }
 
 /**
  * Validate metafields CSV data
  */
-export function validateMetafieldCSVData(data) {
-  const requiredFields = ['handle', 'namespace', 'key', 'value'];
-  const validTypes = [
-    'single_line_text_field',
-    'multi_line_text_field',
-    'number_integer',
-    'number_decimal',
-    'date',
-    'date_time',
-    'boolean',
-    'color',
-    'weight',
-    'volume',
-    'dimension',
-    'rating',
-    'json',
-    'money',
-    'file_reference',
-    'page_reference',
-    'product_reference',
-    'variant_reference',
-    'collection_reference',
-    'url'
-  ];
+export function validateMetafieldCSVData(data, options = {}) {
+  const matchKey = parseMatchKey(options.matchKey);
+  // The handle is only required when products are matched by it
+  const requiredFields = matchKey.type === 'handle'
+    ? ['handle', 'namespace', 'key']
+    : ['namespace', 'key'];
 
   const validatedRows = [];
   const errors = [];
+  const rejected = [];
+  const casEntries = [];
+  const rowWarnings = [];
+  const unitNormalization = options.unitNormalization || null;
+  const rowOffset = options.rowOffset || 0;
 
-  data.forEach((row, index) => {
+  data.forEach((row, rowIndex) => {
     const rowErrors = [];
+    const index = rowOffset + rowIndex;
+
+    // A delete action or the delete marker removes the metafield, so no value is needed
+    const action = (row.action || 'set').trim().toLowerCase();
+    if (!['set', 'delete'].includes(action)) {
+      rowErrors.push(`Row ${index + 1}: Invalid action '${action}'. Use set or delete`);
+    }
+    const isDelete = action === 'delete' || (row.value || '').trim() === METAFIELD_DELETE_MARKER;
 
     // Check required fields
-    requiredFields.forEach(field => {
+    (isDelete ? requiredFields : [...requiredFields, 'value']).forEach(field => {
       if (!row[field] || row[field].trim() === '') {
         rowErrors.push(`Row ${index + 1}: Missing required field '${field}'`);
       }
@@ -486,10 +1443,15 @@ export function validateMetafieldCSVData(data) {
       rowErrors.push(`Row ${index + 1}: Invalid handle format. Handle contains unsupported characters.`);
     }
 
-    // Validate metafield type
-    const type = row.type ? row.type.trim() : 'single_line_text_field';
-    if (!validTypes.includes(type)) {
-      rowErrors.push(`Row ${index + 1}: Invalid metafield type '${type}'. Valid types: ${validTypes.join(', ')}`);
+    const matchValue = matchKey.type === 'handle' ? (row.handle || '').trim() : getMatchValue(row, matchKey);
+    if (matchKey.type !== 'handle' && !matchValue) {
+      rowErrors.push(`Row ${index + 1}: Missing ${matchKey.label} to match the product by`);
+    }
+
+    // Validate metafield type; without one, the type of the shop's definition is used when processing
+    const type = row.type ? row.type.trim() : null;
+    if (type && !METAFIELD_TYPES.includes(type)) {
+      rowErrors.push(`Row ${index + 1}: Invalid metafield type '${type}'. Valid types: ${METAFIELD_TYPES.join(', ')}`);
     }
 
     // Validate namespace and key format
@@ -501,24 +1463,64 @@ export function validateMetafieldCSVData(data) {
       rowErrors.push(`Row ${index + 1}: Invalid key format. Use letters, numbers, underscores, and hyphens only.`);
     }
 
+    // custom.components, custom.cas_number, custom.volume and custom.unit_packs are checked
+    // (and normalized) as in the product properties format
+    let value = isDelete ? '' : (row.value || '').trim();
+    let parsedComponents = [];
+    let componentsConverted = 0;
+    const metafieldName = `${(row.namespace || '').trim()}.${(row.key || '').trim()}`;
+    if (!isDelete && value && metafieldName === 'custom.components') {
+      const parsed = parseComponents(value);
+      componentsConverted = parsed.converted;
+      parsed.errors.forEach(error => rowErrors.push(`Row ${index + 1}: Components: ${error}`));
+      if (unitNormalization) {
+        normalizeComponentUnits(parsed.components, unitNormalization)
+          .forEach(error => rowErrors.push(`Row ${index + 1}: Components: ${error}`));
+      }
+      parsedComponents = parsed.components;
+      value = formatComponents(parsed.components);
+    } else if (!isDelete && ['custom.volume', 'custom.unit_packs'].includes(metafieldName)) {
+      const result = normalizeColumnUnits(value, metafieldName.slice('custom.'.length), unitNormalization);
+      if (result.error) {
+        rowErrors.push(`Row ${index + 1}: ${metafieldName}: ${result.error}`);
+      } else {
+        value = result.value;
+      }
+    } else if (!isDelete && value && metafieldName === 'custom.cas_number') {
+      const result = normalizeCASNumber(value);
+      if (result.error) {
+        rowErrors.push(`Row ${index + 1}: CAS Number: ${result.error}`);
+      } else {
+        value = result.cas;
+      }
+    }
+
     if (rowErrors.length > 0) {
       errors.push(...rowErrors);
+      rejected.push({ row: index + 1, handle: row.handle ? row.handle.trim() : matchValue, errors: rowErrors });
     } else {
       validatedRows.push({
-        handle: row.handle.trim(),
+        handle: (row.handle || '').trim(),
+        matchValue,
         namespace: row.namespace.trim(),
         key: row.key.trim(),
-        value: fixEncodingIssues(row.value.trim()),
-        type: type
+        value,
+        type: type,
+        delete: isDelete,
+        row: index + 1
       });
+      casEntries.push(...componentCASEntries(parsedComponents, index + 1));
+      if (componentsConverted > 0) {
+        rowWarnings.push(componentConversionWarning(componentsConverted, index + 1));
+      }
     }
   });
 
-  if (errors.length > 0) {
+  if (errors.length > 0 && !options.partial) {
     throw new Error(`CSV validation failed:\n${errors.join('\n')}`);
   }
 
-  return { data: validatedRows, format: 'metafields' };
+  return { data: validatedRows, format: 'metafields', rejected, warnings: [...rowWarnings, ...findCASConflicts(casEntries)], rowWarnings, casEntries };
 }
 
 /**
@@ -529,25 +1531,86 @@ export function groupDataByHandle(data, format) {
     return groupMetafieldsByHandle(data);
   } else if (format === 'products') {
     return groupProductsByHandle(data);
+  } else if (format === 'variants') {
+    return groupVariantsByHandle(data);
+  } else if (format === 'inventory') {
+    return groupInventoryBySku(data);
+  } else if (format === 'metaobjects') {
+    return groupMetaobjectsByHandle(data);
   }
   throw new Error('Unknown format for grouping');
 }
 
 /**
- * Group metafields by product handle for batch processing
+ * Group metaobject rows by 'type/handle', so each entry is upserted once
+ */
+export function groupMetaobjectsByHandle(rows) {
+  const grouped = {};
+
+  rows.forEach(row => {
+    const key = `${row.type}/${row.handle}`;
+    if (!grouped[key]) {
+      grouped[key] = [];
+    }
+    grouped[key].push(row);
+  });
+
+  return grouped;
+}
+
+/**
+ * Group inventory rows by SKU, so each variant is looked up once
+ */
+export function groupInventoryBySku(rows) {
+  const grouped = {};
+
+  rows.forEach(row => {
+    if (!grouped[row.sku]) {
+      grouped[row.sku] = [];
+    }
+    grouped[row.sku].push(row);
+  });
+
+  return grouped;
+}
+
+/**
+ * Group variant rows by product handle for batch processing.
+ * Rows matched by SKU alone don't know their product yet, so each gets its own
+ * 'sku:<SKU>' group and the product is looked up from the variant.
+ */
+export function groupVariantsByHandle(variants) {
+  const grouped = {};
+
+  variants.forEach(variant => {
+    const key = variant.matchBy === 'options' ? variant.handle : `sku:${variant.sku}`;
+    if (!grouped[key]) {
+      grouped[key] = [];
+    }
+    grouped[key].push(variant);
+  });
+
+  return grouped;
+}
+
+/**
+ * Group metafields by product handle (or the import's match key value) for batch processing
  */
 export function groupMetafieldsByHandle(metafields) {
   const grouped = {};
 
   metafields.forEach(metafield => {
-    if (!grouped[metafield.handle]) {
-      grouped[metafield.handle] = [];
+    const matchValue = metafield.matchValue || metafield.handle;
+    if (!grouped[matchValue]) {
+      grouped[matchValue] = [];
     }
-    grouped[metafield.handle].push({
+    grouped[matchValue].push({
       namespace: metafield.namespace,
       key: metafield.key,
       value: metafield.value,
-      type: metafield.type
+      type: metafield.type,
+      delete: metafield.delete,
+      row: metafield.row
     });
   });
 
@@ -555,13 +1618,13 @@ export function groupMetafieldsByHandle(metafields) {
 }
 
 /**
- * Group products by handle for batch processing
+ * Group products by handle (or the import's match key value) for batch processing
  */
 export function groupProductsByHandle(products) {
   const grouped = {};
 
   products.forEach(product => {
-    grouped[product.handle] = product;
+    grouped[product.matchValue || product.handle] = product;
   });
 
   return grouped;
@@ -621,10 +1684,37 @@ export function calculateDelay(batchIndex, totalBatches, batchSize) {
   return RATE_LIMIT_CONFIG.INTER_BATCH_DELAY;
 }
 
+/**
+ * Split a list metafield value into its items: a JSON array, or items separated by
+ * semicolons ('a;b;c'). Object items are returned as JSON text. Returns null if the
+ * value starts like a JSON array but isn't one.
+ */
+export function splitListValue(value) {
+  const text = value.trim();
+
+  if (text.startsWith('[')) {
+    try {
+      const items = JSON.parse(text);
+      if (!Array.isArray(items)) return null;
+      return items.map(item => (item !== null && typeof item === 'object' ? JSON.stringify(item) : String(item)));
+    } catch {
+      return null;
+    }
+  }
+
+  return text.split(';').map(item => item.trim()).filter(item => item);
+}
+
 /**
  * Validate metafield value based on type
  */
 export function validateMetafieldValue(value, type) {
+  if (type && type.startsWith('list.')) {
+    const items = splitListValue(value);
+    const itemType = type.slice('list.'.length);
+    return items !== null && items.length > 0 && items.every(item => validateMetafieldValue(item, itemType));
+  }
+
   switch (type) {
     case 'number_integer':
       return /^-?\d+$/.test(value);
@@ -652,56 +1742,91 @@ export function validateMetafieldValue(value, type) {
       } catch {
         return false;
       }
+    case 'weight':
+    case 'volume':
+    case 'dimension':
+      return parseMeasurement(value, type) !== null;
+    case 'money':
+      return parseMoney(value) !== null;
+    case 'rating':
+      return parseRating(value) !== null;
+    case 'product_reference':
+    case 'variant_reference':
+    case 'collection_reference':
+    case 'page_reference':
+    case 'file_reference':
+    case 'metaobject_reference':
+      // Handles, SKUs and file names are resolved to GIDs before values are validated
+      return /^gid:\/\/shopify\/\w+\/\d+$/.test(value);
     default:
       return true; // For text fields and other types, any value is valid
   }
 }
 
-/**
- * Fix common encoding issues in text, particularly μg symbols
- */
-export function fixEncodingIssues(text) {
-  if (!text || typeof text !== 'string') return text;
-
-  return text
-    // Fix corrupted microgram symbol - both variants
-    .replace(/\?g/g, 'μg')     // Question mark variant (in concentration fields)
-    .replace(/�g/g, 'μg')      // Replacement character variant (in title/description fields)
-    // Fix other common encoding issues
-    .replace(/Â/g, '')  // Remove stray Â characters
-    .replace(/â€™/g, "'")  // Fix apostrophes
-    .replace(/â€œ/g, '"')  // Fix opening quotes
-    .replace(/â€/g, '"')   // Fix closing quotes
-    .replace(/â€"/g, '–')  // Fix en-dash
-    .replace(/â€"/g, '—'); // Fix em-dash
-}
-
 /**
  * Format metafield value based on type
  */
 export function formatMetafieldValue(value, type) {
-  // First fix any encoding issues
-  const cleanValue = fixEncodingIssues(value);
+  if (type && type.startsWith('list.')) {
+    const items = splitListValue(value);
+    if (!items) return value;
+
+    const itemType = type.slice('list.'.length);
+    return JSON.stringify(items.map(item => listItemValue(formatMetafieldValue(item, itemType), itemType)));
+  }
 
   switch (type) {
     case 'boolean':
-      return ['true', '1'].includes(cleanValue.toLowerCase()) ? 'true' : 'false';
+      return ['true', '1'].includes(value.toLowerCase()) ? 'true' : 'false';
     case 'json':
       // Ensure valid JSON formatting
-      return JSON.stringify(JSON.parse(cleanValue));
+      return JSON.stringify(JSON.parse(value));
     case 'number_integer':
-      return parseInt(cleanValue, 10).toString();
+      return parseInt(value, 10).toString();
     case 'number_decimal':
-      return parseFloat(cleanValue).toString();
+      return parseFloat(value).toString();
     case 'url':
       // Ensure URL is properly formatted
-      if (!cleanValue.startsWith('http://') && !cleanValue.startsWith('https://')) {
-        return `https://${cleanValue}`;
+      if (!value.startsWith('http://') && !value.startsWith('https://')) {
+        return `https://${value}`;
       }
-      return cleanValue;
+      return value;
+    case 'weight':
+    case 'volume':
+    case 'dimension': {
+      const measurement = parseMeasurement(value, type);
+      return measurement ? JSON.stringify(measurement) : value;
+    }
+    case 'money': {
+      const money = parseMoney(value);
+      return money ? JSON.stringify(money) : value;
+    }
+    case 'rating': {
+      const rating = parseRating(value);
+      return rating ? JSON.stringify(rating) : value;
+    }
     default:
-      return cleanValue;
+      return value;
+  }
+}
+
+/**
+ * An item of a list value in Shopify's JSON shape: integers as numbers,
+ * measurements and ratings as objects, everything else as a string
+ */
+function listItemValue(formatted, itemType) {
+  if (itemType === 'number_integer') {
+    const number = Number(formatted);
+    return isNaN(number) ? formatted : number;
+  }
+  if (['weight', 'volume', 'dimension', 'rating'].includes(itemType)) {
+    try {
+      return JSON.parse(formatted);
+    } catch {
+      return formatted;
+    }
   }
+  return formatted;
 }
 
 /**
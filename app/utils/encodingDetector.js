@@ -0,0 +1,214 @@
+// Byte-level encoding detection for uploaded files
+// Looks at the raw bytes (BOM, UTF-16 null patterns, UTF-8 validity) instead of
+// guessing at broken text after it has already been decoded the wrong way
+
+export const ENCODINGS = {
+  UTF8: 'utf-8',
+  UTF16LE: 'utf-16le',
+  UTF16BE: 'utf-16be',
+  WINDOWS_1252: 'windows-1252'
+};
+
+// How many leading bytes are inspected when detecting the encoding
+export const ENCODING_SAMPLE_BYTES = 64 * 1024;
+
+// Max number of undecodable characters reported back to the preview
+const MAX_REPORTED_ISSUES = 100;
+
+// Windows-1252 differs from Latin-1 only in 0x80-0x9F. Node's TextDecoder treats
+// 'windows-1252' as Latin-1, so that range is mapped here. Unassigned bytes
+// (0x81, 0x8D, 0x8F, 0x90, 0x9D) map to U+FFFD.
+const WINDOWS_1252_HIGH = [
+  0x20AC, 0xFFFD, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021,
+  0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0xFFFD, 0x017D, 0xFFFD,
+  0xFFFD, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014,
+  0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0xFFFD, 0x017E, 0x0178
+];
+
+/**
+ * Check the byte order mark, if any
+ */
+function detectBOM(bytes) {
+  if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    return ENCODINGS.UTF8;
+  }
+  if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) {
+    return ENCODINGS.UTF16LE;
+  }
+  if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    return ENCODINGS.UTF16BE;
+  }
+  return null;
+}
+
+/**
+ * UTF-16 text without a BOM has a null byte in every other position for ASCII
+ * content (delimiters, digits, headers), which never happens in a real CSV
+ */
+function detectUTF16(bytes) {
+  const length = Math.min(bytes.length, ENCODING_SAMPLE_BYTES) & ~1;
+  if (length < 4) return null;
+
+  let evenNulls = 0;
+  let oddNulls = 0;
+  for (let i = 0; i < length; i += 2) {
+    if (bytes[i] === 0) evenNulls++;
+    if (bytes[i + 1] === 0) oddNulls++;
+  }
+
+  const pairs = length / 2;
+  if (oddNulls / pairs > 0.3 && evenNulls / pairs < 0.05) return ENCODINGS.UTF16LE;
+  if (evenNulls / pairs > 0.3 && oddNulls / pairs < 0.05) return ENCODINGS.UTF16BE;
+  return null;
+}
+
+/**
+ * Count well-formed multi-byte UTF-8 sequences and invalid bytes.
+ * A sequence cut off at the end of the sample is not counted as invalid.
+ */
+function scanUTF8(bytes) {
+  const length = Math.min(bytes.length, ENCODING_SAMPLE_BYTES);
+  let multibyte = 0;
+  let invalid = 0;
+  let i = 0;
+
+  while (i < length) {
+    const byte = bytes[i];
+
+    if (byte < 0x80) {
+      i++;
+      continue;
+    }
+
+    let sequenceLength = 0;
+    if (byte >= 0xC2 && byte <= 0xDF) sequenceLength = 2;
+    else if (byte >= 0xE0 && byte <= 0xEF) sequenceLength = 3;
+    else if (byte >= 0xF0 && byte <= 0xF4) sequenceLength = 4;
+
+    if (sequenceLength === 0) {
+      invalid++;
+      i++;
+      continue;
+    }
+
+    if (i + sequenceLength > length) break; // Truncated by the sample boundary
+
+    let wellFormed = true;
+    for (let j = 1; j < sequenceLength; j++) {
+      if ((bytes[i + j] & 0xC0) !== 0x80) {
+        wellFormed = false;
+        break;
+      }
+    }
+
+    if (wellFormed) {
+      multibyte++;
+      i += sequenceLength;
+    } else {
+      invalid++;
+      i++;
+    }
+  }
+
+  return { multibyte, invalid };
+}
+
+/**
+ * Detect the encoding of a file from its leading bytes.
+ * Order: BOM, UTF-16 null pattern, UTF-8 validity, then Windows-1252 as the fallback
+ * for legacy Excel exports. Mostly-valid UTF-8 with a few broken bytes stays UTF-8
+ * so the broken bytes surface as undecodable characters rather than mojibake.
+ */
+export function detectEncoding(bytes) {
+  const bom = detectBOM(bytes);
+  if (bom) {
+    return { encoding: bom, bom: true };
+  }
+
+  const utf16 = detectUTF16(bytes);
+  if (utf16) {
+    return { encoding: utf16, bom: false };
+  }
+
+  const { multibyte, invalid } = scanUTF8(bytes);
+  if (invalid === 0 || multibyte > invalid) {
+    return { encoding: ENCODINGS.UTF8, bom: false };
+  }
+
+  return { encoding: ENCODINGS.WINDOWS_1252, bom: false };
+}
+
+/**
+ * Decode Windows-1252 bytes (see WINDOWS_1252_HIGH for why TextDecoder isn't used)
+ */
+function decodeWindows1252(bytes) {
+  let text = '';
+  const blockSize = 8192;
+
+  for (let start = 0; start < bytes.length; start += blockSize) {
+    const block = bytes.subarray(start, start + blockSize);
+    const codes = new Array(block.length);
+    for (let i = 0; i < block.length; i++) {
+      const byte = block[i];
+      codes[i] = byte >= 0x80 && byte <= 0x9F ? WINDOWS_1252_HIGH[byte - 0x80] : byte;
+    }
+    text += String.fromCharCode(...codes);
+  }
+
+  return text;
+}
+
+/**
+ * Create a streaming decoder for the given encoding.
+ * decode(bytes) may be called repeatedly; call decode() with no bytes to flush.
+ */
+export function createDecoder(encoding) {
+  if (encoding === ENCODINGS.WINDOWS_1252) {
+    // Single-byte encoding, so chunk boundaries never split a character
+    return { decode: (bytes) => (bytes ? decodeWindows1252(bytes) : '') };
+  }
+
+  const decoder = new TextDecoder(encoding);
+  return {
+    decode: (bytes) => (bytes ? decoder.decode(bytes, { stream: true }) : decoder.decode())
+  };
+}
+
+/**
+ * Detect the encoding of a complete buffer and decode it
+ */
+export function decodeBytes(bytes) {
+  const detected = detectEncoding(bytes);
+  const decoder = createDecoder(detected.encoding);
+
+  // TextDecoder strips a matching BOM itself
+  const text = decoder.decode(bytes) + decoder.decode();
+
+  return { text, encoding: detected.encoding, bom: detected.bom };
+}
+
+/**
+ * Find characters that could not be decoded (U+FFFD replacement characters and
+ * stray C1 control characters) in parsed rows. Row numbers match the validation
+ * error numbering (data rows, 1-based).
+ */
+export function findUndecodableCharacters(rows, rowOffset = 0) {
+  const issues = [];
+
+  rows.forEach((row, index) => {
+    Object.entries(row).forEach(([column, value]) => {
+      if (typeof value !== 'string' || issues.length >= MAX_REPORTED_ISSUES) return;
+
+      const position = value.search(/[\uFFFD\u0080-\u009F]/);
+      if (position === -1) return;
+
+      issues.push({
+        row: rowOffset + index + 1,
+        column,
+        excerpt: value.substring(Math.max(0, position - 20), position + 20)
+      });
+    });
+  });
+
+  return issues;
+}
@@ -0,0 +1,211 @@
+import { RATE_LIMIT_CONFIG } from './csvProcessor';
+import {
+  GET_LOCATIONS,
+  GET_INVENTORY_BY_SKU,
+  SET_INVENTORY_QUANTITIES,
+  ADJUST_INVENTORY_QUANTITIES
+} from '../graphql/inventory';
+
+// Inventory quantity import per location
+// Rows are grouped by SKU; "Available" rows use inventorySetQuantities (guarded by the
+// quantity read before the update) and "Adjust By" rows use inventoryAdjustQuantities
+
+// Locations are fetched once per import (one admin client per request or job)
+const locationCache = new WeakMap();
+
+/**
+ * Map of lowercased location name to location, fetched once per admin client
+ */
+function getLocations(admin) {
+  if (!locationCache.has(admin)) {
+    const request = admin.graphql(GET_LOCATIONS, { tries: RATE_LIMIT_CONFIG.MAX_RETRIES })
+      .then(response => response.json())
+      .then(data => new Map(
+        data.data.locations.edges.map(edge => [edge.node.name.trim().toLowerCase(), edge.node])
+      ));
+
+    // Don't cache a failed lookup, so the next group can retry
+    request.catch(() => locationCache.delete(admin));
+    locationCache.set(admin, request);
+  }
+  return locationCache.get(admin);
+}
+
+/**
+ * Find the single variant with exactly this SKU, recording an error otherwise
+ */
+async function findVariantBySku(admin, sku, rows, results) {
+  const response = await admin.graphql(GET_INVENTORY_BY_SKU, {
+    variables: { query: `sku:"${sku.replace(/"/g, '\\"')}"` },
+    tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+  });
+  const data = await response.json();
+
+  // The search matches SKU tokens, so keep only exact matches
+  const matches = data.data.productVariants.edges
+    .map(edge => edge.node)
+    .filter(variant => variant.sku === sku);
+
+  const rowNumbers = rows.map(row => row.row).join(', ');
+
+  if (matches.length === 0) {
+    results.errors.push({ handle: sku, error: `Row ${rowNumbers}: No variant with SKU '${sku}' found` });
+    return null;
+  }
+
+  if (matches.length > 1) {
+    const handles = matches.map(variant => variant.product.handle).join(', ');
+    results.errors.push({
+      handle: sku,
+      error: `Row ${rowNumbers}: SKU '${sku}' is used by ${matches.length} variants (${handles})`
+    });
+    return null;
+  }
+
+  if (!matches[0].inventoryItem.tracked) {
+    results.errors.push({ handle: sku, error: `Row ${rowNumbers}: Inventory is not tracked for SKU '${sku}'` });
+    return null;
+  }
+
+  return matches[0];
+}
+
+/**
+ * Apply the inventory rows for one SKU
+ */
+export async function processInventory(admin, sku, rows, results, dryRun) {
+  const [locations, variant] = await Promise.all([
+    getLocations(admin),
+    findVariantBySku(admin, sku, rows, results)
+  ]);
+  if (!variant) return;
+
+  const levels = new Map(
+    variant.inventoryItem.inventoryLevels.edges.map(edge => [edge.node.location.id, edge.node])
+  );
+
+  const planned = [];
+  const seenLocations = new Map();
+
+  rows.forEach(row => {
+    const location = locations.get(row.location.toLowerCase());
+    if (!location) {
+      results.errors.push({
+        handle: sku,
+        error: `Row ${row.row}: Unknown location '${row.location}'. Locations: ${[...locations.values()].map(l => l.name).join(', ')}`
+      });
+      return;
+    }
+
+    const level = levels.get(location.id);
+    if (!level) {
+      results.errors.push({ handle: sku, error: `Row ${row.row}: SKU '${sku}' is not stocked at '${location.name}'` });
+      return;
+    }
+
+    // Two rows for the same SKU and location would make "before" ambiguous
+    if (seenLocations.has(location.id)) {
+      results.errors.push({
+        handle: sku,
+        error: `Row ${row.row}: Same SKU and location as row ${seenLocations.get(location.id)}, skipped`
+      });
+      return;
+    }
+    seenLocations.set(location.id, row.row);
+
+    const available = level.quantities.find(quantity => quantity.name === 'available');
+    const before = available ? available.quantity : 0;
+    const after = row.available !== null ? row.available : before + row.adjustBy;
+
+    planned.push({ row, location, before, after });
+  });
+
+  if (planned.length === 0) return;
+
+  // The changes that were written (or would be, in a dry run)
+  let applied = planned;
+
+  if (!dryRun) {
+    const inventoryItemId = variant.inventoryItem.id;
+    const sets = planned.filter(change => change.row.available !== null);
+    const adjustments = planned.filter(change => change.row.available === null && change.after !== change.before);
+
+    // Sets and adjustments are separate mutations, so one can succeed while the other fails
+    const failed = [];
+
+    if (sets.length > 0) {
+      const response = await admin.graphql(SET_INVENTORY_QUANTITIES, {
+        variables: {
+          input: {
+            name: 'available',
+            reason: 'correction',
+            quantities: sets.map(change => ({
+              inventoryItemId,
+              locationId: change.location.id,
+              quantity: change.after,
+              // Fails instead of overwriting if stock moved since it was read
+              compareQuantity: change.before
+            }))
+          }
+        },
+        tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+      });
+      const data = await response.json();
+      const { userErrors } = data.data.inventorySetQuantities;
+      if (userErrors.length > 0) {
+        failed.push({ changes: sets, userErrors });
+      }
+    }
+
+    if (adjustments.length > 0) {
+      const response = await admin.graphql(ADJUST_INVENTORY_QUANTITIES, {
+        variables: {
+          input: {
+            name: 'available',
+            reason: 'correction',
+            changes: adjustments.map(change => ({
+              inventoryItemId,
+              locationId: change.location.id,
+              delta: change.after - change.before
+            }))
+          }
+        },
+        tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+      });
+      const data = await response.json();
+      const { userErrors } = data.data.inventoryAdjustQuantities;
+      if (userErrors.length > 0) {
+        failed.push({ changes: adjustments, userErrors });
+      }
+    }
+
+    if (failed.length > 0) {
+      const failedChanges = failed.flatMap(({ changes }) => changes);
+      applied = planned.filter(change => !failedChanges.includes(change));
+      const rowList = (changes) => `${changes.length === 1 ? 'Row' : 'Rows'} ${changes.map(change => change.row.row).join(', ')}`;
+
+      failed.forEach(({ changes, userErrors }) => {
+        const partial = applied.length > 0
+          ? ` (partially applied: ${rowList(applied).toLowerCase()} for this SKU ${applied.length === 1 ? 'was' : 'were'} updated)`
+          : '';
+        results.errors.push({
+          handle: sku,
+          error: `${rowList(changes)}: Inventory update errors: ${userErrors.map(e => e.message).join(', ')}${partial}`
+        });
+      });
+    }
+  }
+
+  applied.forEach(change => {
+    results.success.push({
+      handle: variant.product.handle,
+      productTitle: variant.product.title,
+      row: change.row.row,
+      sku,
+      location: change.location.name,
+      before: change.before,
+      after: change.after,
+      dryRun
+    });
+  });
+}
@@ -0,0 +1,114 @@
+// JSON (.json, an array of row objects) and NDJSON (.ndjson/.jsonl, one object per line) input
+// Rows are flattened to the same string-valued shape Papa Parse produces for CSV,
+// so they go through the normal validateCSVData pipeline
+
+export const JSON_FORMATS = {
+  JSON: 'json',
+  NDJSON: 'ndjson'
+};
+
+const EXTENSION_FORMATS = {
+  '.json': JSON_FORMATS.JSON,
+  '.ndjson': JSON_FORMATS.NDJSON,
+  '.jsonl': JSON_FORMATS.NDJSON
+};
+
+// Keys whose array values are lists of plain strings rather than structured data
+const LIST_KEYS = ['tags', 'Tags'];
+
+/**
+ * Detect JSON/NDJSON from the file extension alone
+ */
+export function detectJSONFormatFromName(fileName) {
+  const name = (fileName || '').toLowerCase();
+  const extension = Object.keys(EXTENSION_FORMATS).find(ext => name.endsWith(ext));
+  return extension ? EXTENSION_FORMATS[extension] : null;
+}
+
+/**
+ * Detect JSON/NDJSON by extension, then by content for files without a JSON extension.
+ * A CSV header row never starts with '[' or '{', so the first character is enough
+ * to tell the formats apart.
+ */
+export function detectJSONFormat(fileName, text) {
+  const fromName = detectJSONFormatFromName(fileName);
+  if (fromName) return fromName;
+
+  const start = text.trimStart();
+  if (start.startsWith('[')) return JSON_FORMATS.JSON;
+  if (start.startsWith('{')) return JSON_FORMATS.NDJSON;
+  return null;
+}
+
+/**
+ * Flatten one JSON row into string values.
+ * Nested values (e.g. a components array) are kept as JSON strings so they reach
+ * the metafield untouched; tag arrays become the comma-separated list the CSV uses.
+ */
+export function normalizeJSONRow(row, rowNumber) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    throw new Error(`Row ${rowNumber}: Expected a JSON object`);
+  }
+
+  const normalized = {};
+
+  Object.entries(row).forEach(([key, value]) => {
+    if (value === null || value === undefined) {
+      normalized[key] = '';
+    } else if (typeof value === 'string') {
+      normalized[key] = value;
+    } else if (Array.isArray(value) && LIST_KEYS.includes(key)) {
+      normalized[key] = value.map(item => String(item).trim()).join(', ');
+    } else if (typeof value === 'object') {
+      normalized[key] = JSON.stringify(value);
+    } else {
+      normalized[key] = String(value);
+    }
+  });
+
+  return normalized;
+}
+
+/**
+ * Parse a single NDJSON line, returning null for blank lines
+ */
+export function parseNDJSONLine(line, rowNumber) {
+  const trimmed = line.trim();
+  if (!trimmed) return null;
+
+  try {
+    return normalizeJSONRow(JSON.parse(trimmed), rowNumber);
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      throw new Error(`Row ${rowNumber}: Invalid JSON - ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Parse the full text of a JSON or NDJSON file into flat row objects
+ */
+export function parseJSONRows(text, format) {
+  if (format === JSON_FORMATS.NDJSON) {
+    const rows = [];
+    text.split('\n').forEach(line => {
+      const row = parseNDJSONLine(line, rows.length + 1);
+      if (row) rows.push(row);
+    });
+    return rows;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(parsed)) {
+    throw new Error('JSON file must contain an array of row objects');
+  }
+
+  return parsed.map((row, index) => normalizeJSONRow(row, index + 1));
+}
@@ -0,0 +1,74 @@
+// Match keys: which column identifies the product a row belongs to.
+// 'handle' (default), 'id' (product GID or numeric ID), 'sku', 'barcode',
+// or 'metafield:<namespace>.<key>' such as 'metafield:custom.catalog_number'
+
+export const MATCH_KEY_OPTIONS = [
+  { label: 'Handle', value: 'handle' },
+  { label: 'Product ID', value: 'id' },
+  { label: 'Variant SKU', value: 'sku' },
+  { label: 'Barcode', value: 'barcode' },
+  { label: 'Catalog number (custom.catalog_number)', value: 'metafield:custom.catalog_number' }
+];
+
+// Columns read for each built-in match key, in order of preference
+const MATCH_KEY_COLUMNS = {
+  handle: ['Handle', 'handle'],
+  id: ['ID', 'Id', 'id', 'Product ID', 'productId'],
+  sku: ['Variant SKU', 'SKU', 'sku'],
+  barcode: ['Variant Barcode', 'Barcode', 'barcode']
+};
+
+const MATCH_KEY_LABELS = {
+  handle: 'handle',
+  id: 'product ID',
+  sku: 'SKU',
+  barcode: 'barcode'
+};
+
+/**
+ * Parse a match key string into { type, label } (plus namespace/key for metafields)
+ */
+export function parseMatchKey(value) {
+  if (!value || value === 'handle') {
+    return { type: 'handle', label: MATCH_KEY_LABELS.handle };
+  }
+
+  if (MATCH_KEY_COLUMNS[value]) {
+    return { type: value, label: MATCH_KEY_LABELS[value] };
+  }
+
+  const metafield = /^metafield:([a-zA-Z0-9_-]+)\.([a-zA-Z0-9_-]+)$/.exec(value);
+  if (metafield) {
+    const [, namespace, key] = metafield;
+    return { type: 'metafield', namespace, key, label: `${namespace}.${key}` };
+  }
+
+  throw new Error(`Invalid match key '${value}'. Use handle, id, sku, barcode or metafield:namespace.key`);
+}
+
+/**
+ * Read the value a row is matched by.
+ * A metafield key is read from a 'Label (product.metafields.ns.key)' column, a
+ * 'product.metafields.ns.key' or 'ns.key' column, or a column named after the key
+ * ('Catalog Number', 'catalogNumber').
+ */
+export function getMatchValue(row, matchKey) {
+  let header;
+
+  if (matchKey.type === 'metafield') {
+    const { namespace, key } = matchKey;
+    const camelKey = key.replace(/_([a-z0-9])/g, (_, letter) => letter.toUpperCase());
+
+    header = Object.keys(row).find(column =>
+      column.endsWith(`(product.metafields.${namespace}.${key})`) ||
+      column === `product.metafields.${namespace}.${key}` ||
+      column === `${namespace}.${key}` ||
+      column === camelKey ||
+      column.trim().toLowerCase().replace(/\s+/g, '_') === key
+    );
+  } else {
+    header = MATCH_KEY_COLUMNS[matchKey.type].find(column => row[column]);
+  }
+
+  return header && row[header] ? String(row[header]).trim() : '';
+}
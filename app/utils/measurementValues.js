@@ -0,0 +1,174 @@
+// Measurement, money and rating metafield values. Shopify stores them as JSON,
+// e.g. {"value":1,"unit":"MILLILITERS"}, but a CSV may also use the friendly
+// forms people type: '1 mL', '2.5 kg', '19.99 USD', '4.5/5'.
+// Each parser accepts either form and returns the JSON object, or null.
+
+// Shopify's units per measurement type, with the spellings accepted for each
+// (compared case-insensitively)
+export const MEASUREMENT_UNITS = {
+  weight: {
+    GRAMS: ['g', 'gr', 'gram', 'grams'],
+    KILOGRAMS: ['kg', 'kgs', 'kilogram', 'kilograms'],
+    OUNCES: ['oz', 'ounce', 'ounces'],
+    POUNDS: ['lb', 'lbs', 'pound', 'pounds']
+  },
+  volume: {
+    MILLILITERS: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'],
+    CENTILITERS: ['cl', 'centiliter', 'centiliters', 'centilitre', 'centilitres'],
+    LITERS: ['l', 'liter', 'liters', 'litre', 'litres'],
+    CUBIC_METERS: ['m3', 'm³', 'cubic meter', 'cubic meters'],
+    FLUID_OUNCES: ['fl oz', 'floz', 'fluid ounce', 'fluid ounces'],
+    PINTS: ['pt', 'pint', 'pints'],
+    QUARTS: ['qt', 'quart', 'quarts'],
+    GALLONS: ['gal', 'gallon', 'gallons'],
+    IMPERIAL_FLUID_OUNCES: ['imp fl oz', 'imperial fluid ounce', 'imperial fluid ounces'],
+    IMPERIAL_PINTS: ['imp pt', 'imperial pint', 'imperial pints'],
+    IMPERIAL_QUARTS: ['imp qt', 'imperial quart', 'imperial quarts'],
+    IMPERIAL_GALLONS: ['imp gal', 'imperial gallon', 'imperial gallons']
+  },
+  dimension: {
+    MILLIMETERS: ['mm', 'millimeter', 'millimeters', 'millimetre', 'millimetres'],
+    CENTIMETERS: ['cm', 'centimeter', 'centimeters', 'centimetre', 'centimetres'],
+    METERS: ['m', 'meter', 'meters', 'metre', 'metres'],
+    INCHES: ['in', '"', 'inch', 'inches'],
+    FEET: ['ft', "'", 'foot', 'feet'],
+    YARDS: ['yd', 'yds', 'yard', 'yards']
+  }
+};
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+
+const NUMBER = /^-?(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?$/;
+
+/**
+ * Parse a number, allowing thousands separators ('1,000.5'). Returns NaN otherwise.
+ */
+function parseNumber(text) {
+  const value = String(text).trim();
+  if (!value || value === '-' || !NUMBER.test(value)) return NaN;
+  return Number(value.replace(/,/g, ''));
+}
+
+/**
+ * Find Shopify's unit for a unit spelling, or null
+ */
+function findUnit(type, text) {
+  const units = MEASUREMENT_UNITS[type];
+  const spelling = text.trim().replace(/\s+/g, ' ').replace(/\.$/, '').toLowerCase();
+
+  return Object.keys(units).find(unit => (
+    unit.toLowerCase() === spelling ||
+    unit.toLowerCase().replace(/_/g, ' ') === spelling ||
+    units[unit].includes(spelling)
+  )) || null;
+}
+
+/**
+ * Parse a JSON object value, or return null
+ */
+function parseObject(text) {
+  if (!/^\s*\{/.test(text)) return null;
+  try {
+    const value = JSON.parse(text);
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a weight, volume or dimension value ('1 mL' or {"value":1,"unit":"MILLILITERS"})
+ * into { value, unit }, or return null
+ */
+export function parseMeasurement(text, type) {
+  if (!MEASUREMENT_UNITS[type] || typeof text !== 'string') return null;
+
+  const json = parseObject(text);
+  if (json) {
+    const value = typeof json.value === 'number' ? json.value : parseNumber(json.value ?? '');
+    const unit = typeof json.unit === 'string' ? findUnit(type, json.unit) : null;
+    return isFinite(value) && unit ? { value, unit } : null;
+  }
+
+  const match = /^\s*(-?[\d,]*\.?\d+)\s*(.+?)\s*$/.exec(text);
+  if (!match) return null;
+
+  const value = parseNumber(match[1]);
+  const unit = findUnit(type, match[2]);
+  return isFinite(value) && unit ? { value, unit } : null;
+}
+
+/**
+ * The measurement type a value's unit belongs to ('1 mL' is a volume), or null
+ */
+export function inferMeasurementType(text) {
+  return Object.keys(MEASUREMENT_UNITS).find(type => parseMeasurement(text, type)) || null;
+}
+
+/**
+ * Parse a money value ('19.99 USD', 'USD 19.99', '$19.99' or
+ * {"amount":"19.99","currency_code":"USD"}) into { amount, currency_code }, or return null
+ */
+export function parseMoney(text) {
+  if (typeof text !== 'string') return null;
+
+  let amount;
+  let currency;
+
+  const json = parseObject(text);
+  if (json) {
+    amount = json.amount;
+    currency = json.currency_code;
+  } else {
+    const value = text.trim();
+    const codeFirst = /^([A-Za-z]{3})\s*([-\d.,]+)$/.exec(value);
+    const codeLast = /^([-\d.,]+)\s*([A-Za-z]{3})$/.exec(value);
+    const symbol = /^([$€£¥])\s*([-\d.,]+)$/.exec(value);
+
+    if (codeFirst) {
+      [, currency, amount] = codeFirst;
+    } else if (codeLast) {
+      [, amount, currency] = codeLast;
+    } else if (symbol) {
+      currency = CURRENCY_SYMBOLS[symbol[1]];
+      amount = symbol[2];
+    }
+  }
+
+  if (typeof currency !== 'string' || !/^[A-Za-z]{3}$/.test(currency)) return null;
+  if (!isFinite(parseNumber(amount ?? ''))) return null;
+
+  return { amount: String(amount).replace(/,/g, ''), currency_code: currency.toUpperCase() };
+}
+
+/**
+ * Parse a rating ('4.5/5' on a 1 to 5 scale, '4.5 (0-10)' with an explicit scale, or
+ * {"value":"4.5","scale_min":"1","scale_max":"5"}) into { value, scale_min, scale_max },
+ * or return null. The value has to be within the scale.
+ */
+export function parseRating(text) {
+  if (typeof text !== 'string') return null;
+
+  let rating = parseObject(text);
+  if (!rating) {
+    const outOf = /^\s*([\d.]+)\s*\/\s*([\d.]+)\s*$/.exec(text);
+    const range = /^\s*([\d.]+)\s*\(\s*([\d.]+)\s*-\s*([\d.]+)\s*\)\s*$/.exec(text);
+
+    if (outOf) {
+      rating = { value: outOf[1], scale_min: '1', scale_max: outOf[2] };
+    } else if (range) {
+      rating = { value: range[1], scale_min: range[2], scale_max: range[3] };
+    } else {
+      return null;
+    }
+  }
+
+  const [value, min, max] = [rating.value, rating.scale_min, rating.scale_max].map(part => parseNumber(part ?? ''));
+  if (![value, min, max].every(isFinite) || min >= max || value < min || value > max) return null;
+
+  return {
+    value: String(rating.value),
+    scale_min: String(rating.scale_min),
+    scale_max: String(rating.scale_max)
+  };
+}
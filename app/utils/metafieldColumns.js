@@ -0,0 +1,73 @@
+// Metafield columns in the product properties format: Shopify's
+// 'Label (product.metafields.namespace.key)' headers or bare 'product.metafields.namespace.key'
+// headers. Either form can end in ':type' (e.g. 'product.metafields.custom.purity:number_decimal')
+// to give the type when the shop has no metafield definition for the key. A short
+// 'namespace.key' header is a metafield column when the shop has a definition for
+// the key, and otherwise needs the type ('custom.purity:number_decimal'), so that
+// ordinary headers with a dot in them aren't taken for metafields.
+
+/**
+ * Metafield types accepted in the metafields format's type column and in a metafield column's type suffix
+ */
+export const METAFIELD_TYPES = [
+  'single_line_text_field',
+  'multi_line_text_field',
+  'number_integer',
+  'number_decimal',
+  'date',
+  'date_time',
+  'boolean',
+  'color',
+  'weight',
+  'volume',
+  'dimension',
+  'rating',
+  'json',
+  'money',
+  'file_reference',
+  'page_reference',
+  'product_reference',
+  'variant_reference',
+  'collection_reference',
+  'metaobject_reference',
+  'url',
+  'list.single_line_text_field',
+  'list.number_integer',
+  'list.number_decimal',
+  'list.date',
+  'list.date_time',
+  'list.color',
+  'list.url',
+  'list.weight',
+  'list.volume',
+  'list.dimension',
+  'list.rating',
+  'list.file_reference',
+  'list.page_reference',
+  'list.product_reference',
+  'list.variant_reference',
+  'list.collection_reference',
+  'list.metaobject_reference'
+];
+
+const LABELLED_HEADER = /\(product\.metafields\.([a-zA-Z0-9_-]+)\.([a-zA-Z0-9_-]+)(?::([a-z_.]+))?\)\s*$/;
+const BARE_HEADER = /^product\.metafields\.([a-zA-Z0-9_-]+)\.([a-zA-Z0-9_-]+)(?::([a-z_.]+))?$/;
+const TYPED_HEADER = /^([a-zA-Z0-9_-]+)\.([a-zA-Z0-9_-]+):([a-z_.]+)$/;
+const DEFINED_HEADER = /^([a-zA-Z0-9_-]+)\.([a-zA-Z0-9_-]+)$/;
+
+/**
+ * Parse a column header into { namespace, key, type, label } (type is null without a
+ * suffix, label is null for a bare header), or return null if it isn't a metafield column.
+ * `definitionKeys` are the 'namespace.key' of the shop's product metafield definitions.
+ */
+export function parseMetafieldHeader(header, definitionKeys = []) {
+  const labelled = LABELLED_HEADER.exec(header);
+  const defined = DEFINED_HEADER.exec(header.trim());
+  const match = labelled || BARE_HEADER.exec(header.trim()) || TYPED_HEADER.exec(header.trim()) ||
+    (defined && definitionKeys.includes(defined[0]) ? defined : null);
+  if (!match) return null;
+
+  const [, namespace, key, type] = match;
+  const label = labelled ? header.slice(0, labelled.index).trim() || null : null;
+  return { namespace, key, type: type || null, label };
+}
@@ -0,0 +1,358 @@
+import { RATE_LIMIT_CONFIG, METAFIELD_DELETE_MARKER, splitListValue } from './csvProcessor.js';
+import { COLUMN_MAPPING_TARGETS } from './columnMapping.js';
+import { parseMetafieldHeader, METAFIELD_TYPES } from './metafieldColumns.js';
+import { inferMeasurementType } from './measurementValues.js';
+import {
+  GET_PRODUCT_METAFIELD_DEFINITIONS,
+  CREATE_METAFIELD_DEFINITION
+} from '../graphql/metafieldDefinitions.js';
+
+// The shop's product metafield definitions: they type metafield columns that
+// don't declare a type, and every value is checked against its definition's
+// type and validations (min/max, regex, choices) before anything is written.
+// Keys without a definition are collected in results.missingDefinitions so the
+// preview can offer to create them before the values are written.
+
+// Definitions are fetched once per import (one admin client per request or job)
+const definitionCache = new WeakMap();
+
+const NUMBER_TYPES = ['number_integer', 'number_decimal'];
+const DATE_TYPES = ['date', 'date_time'];
+const TEXT_TYPES = ['single_line_text_field', 'multi_line_text_field'];
+
+// Definition names for the built-in columns, from their 'Label (product.metafields.ns.key)' headers
+const BUILT_IN_NAMES = new Map(
+  COLUMN_MAPPING_TARGETS
+    .filter(target => target.group === 'Metafields')
+    .map(target => parseMetafieldHeader(target.value))
+    .map(column => [`${column.namespace}.${column.key}`, column.label])
+);
+
+/**
+ * Fetch every product metafield definition, 250 per page
+ */
+async function fetchProductMetafieldDefinitions(admin) {
+  const definitions = new Map();
+  let after = null;
+
+  do {
+    const response = await admin.graphql(GET_PRODUCT_METAFIELD_DEFINITIONS, {
+      variables: { after },
+      tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+    });
+    const data = await response.json();
+    const { edges, pageInfo } = data.data.metafieldDefinitions;
+
+    edges.forEach(edge => definitions.set(`${edge.node.namespace}.${edge.node.key}`, edge.node));
+    after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (after);
+
+  return definitions;
+}
+
+/**
+ * Map of 'namespace.key' to definition, fetched once per admin client
+ */
+export function getProductMetafieldDefinitions(admin) {
+  if (!definitionCache.has(admin)) {
+    const request = fetchProductMetafieldDefinitions(admin);
+
+    // Don't cache a failed lookup, so the next product can retry
+    request.catch(() => definitionCache.delete(admin));
+    definitionCache.set(admin, request);
+  }
+  return definitionCache.get(admin);
+}
+
+/**
+ * The definition's type for a key, or the fallback when the shop has no definition
+ */
+export function definitionType(definitions, namespace, key, fallback) {
+  const definition = definitions.get(`${namespace}.${key}`);
+  return definition ? definition.type.name : fallback;
+}
+
+/**
+ * Fill in the type of metafields that don't declare one from the shop's
+ * definitions. Without either, a metafield is a single_line_text_field.
+ */
+export function resolveMetafieldTypes(metafields, definitions) {
+  return metafields.map(metafield => (
+    metafield.type
+      ? metafield
+      : { ...metafield, type: definitionType(definitions, metafield.namespace, metafield.key, 'single_line_text_field') }
+  ));
+}
+
+// Compiled regex validations by rule; null for rules JavaScript can't run
+const patternCache = new Map();
+
+/**
+ * Compile a definition's regex rule. Shopify stores Ruby regexes, so a leading (?i)
+ * becomes the i flag and \A / \z become ^ / $. Other Ruby-only syntax can't be
+ * checked here: the rule is skipped (and logged), and Shopify still enforces it on write.
+ */
+function definitionPattern(rule) {
+  if (!patternCache.has(rule)) {
+    let source = rule;
+    let flags = '';
+    if (source.startsWith('(?i)')) {
+      source = source.slice('(?i)'.length);
+      flags = 'i';
+    }
+    source = source.replace(/^\\A/, '^').replace(/\\[zZ]$/, '$');
+
+    try {
+      patternCache.set(rule, new RegExp(source, flags));
+    } catch (error) {
+      console.warn(`Skipping unsupported regex validation ${rule}: ${error.message}`);
+      patternCache.set(rule, null);
+    }
+  }
+  return patternCache.get(rule);
+}
+
+/**
+ * Check one value against a definition's min/max, regex and choices validations
+ */
+function checkValidations(value, baseType, validations) {
+  const issues = [];
+
+  validations.forEach(({ name, value: rule }) => {
+    if (name === 'choices') {
+      const choices = JSON.parse(rule);
+      if (!choices.includes(value)) {
+        issues.push(`'${value}' is not one of the allowed choices (${choices.join(', ')})`);
+      }
+    } else if (name === 'regex') {
+      const pattern = definitionPattern(rule);
+      if (pattern && !pattern.test(value)) {
+        issues.push(`'${value}' doesn't match the pattern ${rule}`);
+      }
+    } else if (name === 'min' || name === 'max') {
+      let actual = null;
+      let limit = null;
+      let unit = '';
+
+      if (NUMBER_TYPES.includes(baseType)) {
+        actual = Number(value);
+        limit = Number(rule);
+      } else if (DATE_TYPES.includes(baseType)) {
+        actual = Date.parse(value);
+        limit = Date.parse(rule);
+      } else if (TEXT_TYPES.includes(baseType)) {
+        actual = value.length;
+        limit = Number(rule);
+        unit = ' characters';
+      }
+
+      if (actual === null || isNaN(actual) || isNaN(limit)) return;
+
+      if (name === 'min' && actual < limit) {
+        issues.push(`'${value}' is below the minimum of ${rule}${unit}`);
+      } else if (name === 'max' && actual > limit) {
+        issues.push(`'${value}' is above the maximum of ${rule}${unit}`);
+      }
+    } else if (name === 'max_precision' && baseType === 'number_decimal') {
+      const decimals = (value.split('.')[1] || '').length;
+      if (decimals > Number(rule)) {
+        issues.push(`'${value}' has more than ${rule} decimal places`);
+      }
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Check metafields about to be written against the shop's definitions.
+ * Returns a list of problems such as type mismatches or values outside min/max;
+ * keys without a definition are not checked.
+ */
+export function checkMetafieldDefinitions(metafields, definitions) {
+  const issues = [];
+
+  metafields.forEach(metafield => {
+    const definition = definitions.get(`${metafield.namespace}.${metafield.key}`);
+    if (!definition) return;
+
+    const label = `${metafield.namespace}.${metafield.key}`;
+
+    if (metafield.type !== definition.type.name) {
+      issues.push(`${label}: type '${metafield.type}' doesn't match the definition's type '${definition.type.name}'`);
+      return;
+    }
+
+    // List values are checked item by item
+    const isList = definition.type.name.startsWith('list.');
+    const baseType = definition.type.name.replace(/^list\./, '');
+    const values = isList ? splitListValue(metafield.value) || [] : [metafield.value];
+
+    values.forEach(value => {
+      checkValidations(value, baseType, definition.validations || [])
+        .forEach(issue => issues.push(`${label}: ${issue}`));
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Guess the metafield type of a single value
+ */
+export function inferMetafieldType(value) {
+  if (/^-?\d+$/.test(value)) return 'number_integer';
+  if (/^-?\d*\.\d+$/.test(value)) return 'number_decimal';
+  if (/^(true|false)$/i.test(value)) return 'boolean';
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return 'date';
+  if (/^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(Date.parse(value))) return 'date_time';
+  if (/^https?:\/\/\S+$/.test(value)) return 'url';
+
+  const measurementType = inferMeasurementType(value);
+  if (measurementType) return measurementType;
+
+  if (/^[[{]/.test(value)) {
+    try {
+      JSON.parse(value);
+      return 'json';
+    } catch {
+      // Not JSON, just text that starts with a bracket
+    }
+  }
+
+  return value.includes('\n') ? 'multi_line_text_field' : 'single_line_text_field';
+}
+
+/**
+ * Combine the types inferred from two values of the same key
+ */
+function mergeInferredTypes(a, b) {
+  if (a === b) return a;
+
+  const pair = [a, b].sort().join(',');
+  if (pair === 'number_decimal,number_integer') return 'number_decimal';
+  if (pair === 'multi_line_text_field,single_line_text_field') return 'multi_line_text_field';
+  return 'single_line_text_field';
+}
+
+/**
+ * Add the metafields a product writes that have no definition to results.missingDefinitions,
+ * one entry per key with its declared type (or one inferred from the values seen) and a
+ * suggested name. Metafields without a declared type have type null.
+ */
+export function recordMissingDefinitions(results, metafields, definitions) {
+  if (!results.missingDefinitions) return;
+
+  metafields.forEach(metafield => {
+    const id = `${metafield.namespace}.${metafield.key}`;
+    if (definitions.has(id) || !metafield.value || metafield.value === METAFIELD_DELETE_MARKER) return;
+
+    let entry = results.missingDefinitions.find(item => item.namespace === metafield.namespace && item.key === metafield.key);
+    if (!entry) {
+      const name = metafield.label || BUILT_IN_NAMES.get(id) ||
+        metafield.key.replace(/[_-]+/g, ' ').replace(/^./, letter => letter.toUpperCase());
+
+      entry = { namespace: metafield.namespace, key: metafield.key, name, type: null, declared: false, products: 0 };
+      results.missingDefinitions.push(entry);
+    }
+
+    entry.products++;
+
+    if (metafield.type) {
+      if (!entry.declared) {
+        entry.type = metafield.type;
+        entry.declared = true;
+      }
+    } else if (!entry.declared) {
+      const inferred = inferMetafieldType(metafield.value);
+      entry.type = entry.type ? mergeInferredTypes(entry.type, inferred) : inferred;
+    }
+  });
+}
+
+/**
+ * Parse and check the definitions the user chose to create, sent as a JSON array of
+ * { namespace, key, name, type, pin }
+ */
+export function parseDefinitionsToCreate(value) {
+  if (!value) return [];
+
+  const definitions = JSON.parse(value);
+  if (!Array.isArray(definitions)) {
+    throw new Error('Metafield definitions to create must be a list');
+  }
+
+  return definitions.map(({ namespace, key, name, type, pin }) => {
+    if (!/^[a-zA-Z0-9_-]+$/.test(namespace || '') || !/^[a-zA-Z0-9_-]+$/.test(key || '')) {
+      throw new Error(`Invalid metafield definition '${namespace}.${key}'`);
+    }
+    if (!METAFIELD_TYPES.includes(type)) {
+      throw new Error(`Invalid type '${type}' for metafield definition '${namespace}.${key}'`);
+    }
+    if (!name || !name.trim()) {
+      throw new Error(`Metafield definition '${namespace}.${key}' needs a name`);
+    }
+    return { namespace, key, name: name.trim(), type, pin: Boolean(pin) };
+  });
+}
+
+/**
+ * Create product metafield definitions with metafieldDefinitionCreate.
+ * Returns { created, errors }; later lookups see the new definitions. A definition that
+ * already exists with the same type (e.g. created by an earlier, stopped submit) counts
+ * as created; one with another type is an error, and then none are created.
+ */
+export async function createMetafieldDefinitions(admin, definitions) {
+  const created = [];
+  const errors = [];
+  const existing = await getProductMetafieldDefinitions(admin);
+  const toCreate = [];
+
+  definitions.forEach(definition => {
+    const current = existing.get(`${definition.namespace}.${definition.key}`);
+    if (!current) {
+      toCreate.push(definition);
+    } else if (current.type.name === definition.type) {
+      created.push({
+        namespace: current.namespace,
+        key: current.key,
+        name: current.name,
+        type: current.type.name,
+        existing: true
+      });
+    } else {
+      errors.push(`${definition.namespace}.${definition.key}: already exists with type '${current.type.name}'`);
+    }
+  });
+
+  // A conflicting definition stops the import, so nothing is created for it
+  if (errors.length > 0) {
+    return { created, errors };
+  }
+
+  for (const definition of toCreate) {
+    const response = await admin.graphql(CREATE_METAFIELD_DEFINITION, {
+      variables: { definition: { ...definition, ownerType: 'PRODUCT' } },
+      tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+    });
+    const data = await response.json();
+    const { createdDefinition, userErrors } = data.data.metafieldDefinitionCreate;
+
+    if (userErrors.length > 0) {
+      errors.push(`${definition.namespace}.${definition.key}: ${userErrors.map(e => e.message).join(', ')}`);
+    } else {
+      created.push({
+        namespace: createdDefinition.namespace,
+        key: createdDefinition.key,
+        name: createdDefinition.name,
+        type: createdDefinition.type.name,
+        pinned: definition.pin
+      });
+    }
+  }
+
+  // Drop the cached definitions so the import types its values by the new ones
+  definitionCache.delete(admin);
+
+  return { created, errors };
+}
@@ -0,0 +1,182 @@
+import {
+  RATE_LIMIT_CONFIG,
+  validateMetafieldValue,
+  formatMetafieldValue
+} from './csvProcessor';
+import { checkMetafieldDefinitions } from './metafieldDefinitions';
+import { resolveReferences } from './referenceResolver';
+import {
+  GET_METAOBJECT_DEFINITION_BY_TYPE,
+  GET_METAOBJECT_BY_HANDLE,
+  UPSERT_METAOBJECT
+} from '../graphql/metaobjects';
+
+// Metaobject entry import: rows are grouped by 'type/handle' and each entry is
+// created or updated with metaobjectUpsert. Field values are typed, validated and
+// formatted like metafield values, against the metaobject definition's field definitions.
+
+// Definitions are fetched once per import (one admin client per request or job)
+const definitionCache = new WeakMap();
+
+/**
+ * The metaobject definition for a type (or null), fetched once per admin client
+ */
+function getMetaobjectDefinition(admin, type) {
+  if (!definitionCache.has(admin)) {
+    definitionCache.set(admin, new Map());
+  }
+  const cache = definitionCache.get(admin);
+
+  if (!cache.has(type)) {
+    const request = admin.graphql(GET_METAOBJECT_DEFINITION_BY_TYPE, {
+      variables: { type },
+      tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+    })
+      .then(response => response.json())
+      .then(data => data.data.metaobjectDefinitionByType);
+
+    // Don't cache a failed lookup, so the next entry can retry
+    request.catch(() => cache.delete(type));
+    cache.set(type, request);
+  }
+  return cache.get(type);
+}
+
+/**
+ * Merge the fields of all rows for one entry. A field given twice with different
+ * values is reported instead of picking one.
+ */
+function mergeRows(rows) {
+  const fields = new Map();
+  const conflicts = [];
+
+  rows.forEach(row => {
+    row.fields.forEach(field => {
+      const earlier = fields.get(field.key);
+      if (earlier && earlier.value !== field.value) {
+        conflicts.push(`Row ${row.row}: '${field.key}' is set differently in row ${earlier.row}`);
+      } else if (!earlier) {
+        fields.set(field.key, { ...field, row: row.row });
+      }
+    });
+  });
+
+  return { fields: [...fields.values()], conflicts };
+}
+
+/**
+ * Create or update one metaobject entry from its rows
+ */
+export async function processMetaobject(admin, entryKey, rows, results, dryRun) {
+  const { type, handle } = rows[0];
+  const rowNumbers = rows.map(row => row.row).join(', ');
+
+  const { fields, conflicts } = mergeRows(rows);
+  if (conflicts.length > 0) {
+    results.errors.push({ handle: entryKey, error: `Validation errors: ${conflicts.join(', ')}` });
+    return;
+  }
+
+  const definition = await getMetaobjectDefinition(admin, type);
+  if (!definition) {
+    results.errors.push({ handle: entryKey, error: `Row ${rowNumbers}: No metaobject definition with type '${type}'` });
+    return;
+  }
+
+  const fieldDefinitions = new Map(definition.fieldDefinitions.map(field => [`${type}.${field.key}`, field]));
+  const issues = [];
+
+  // Fields are checked like metafields, with the metaobject type standing in for the namespace
+  const typedFields = [];
+  fields.forEach(field => {
+    const fieldDefinition = fieldDefinitions.get(`${type}.${field.key}`);
+    if (!fieldDefinition) {
+      issues.push(`Row ${field.row}: '${field.key}' is not a field of '${type}' (fields: ${definition.fieldDefinitions.map(f => f.key).join(', ')})`);
+      return;
+    }
+    typedFields.push({ namespace: type, key: field.key, value: field.value, type: fieldDefinition.type.name, row: field.row });
+  });
+
+  const references = await resolveReferences(admin, typedFields, fieldDefinitions);
+  issues.push(...references.issues);
+
+  const validFields = [];
+  references.metafields.forEach(field => {
+    if (!validateMetafieldValue(field.value, field.type)) {
+      issues.push(`Row ${field.row}: Invalid value '${field.value}' for '${field.key}' (type '${field.type}')`);
+    } else {
+      validFields.push({ ...field, value: formatMetafieldValue(field.value, field.type) });
+    }
+  });
+  issues.push(...checkMetafieldDefinitions(validFields, fieldDefinitions));
+
+  const response = await admin.graphql(GET_METAOBJECT_BY_HANDLE, {
+    variables: { handle: { type, handle } },
+    tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+  });
+  const data = await response.json();
+  const existing = data.data.metaobjectByHandle;
+
+  // A new entry needs every required field
+  if (!existing) {
+    const missing = definition.fieldDefinitions
+      .filter(field => field.required && !fields.some(f => f.key === field.key))
+      .map(field => field.key);
+    if (missing.length > 0) {
+      issues.push(`Row ${rowNumbers}: New entry '${entryKey}' needs ${missing.join(', ')}`);
+    }
+  }
+
+  if (issues.length > 0) {
+    results.errors.push({ handle: entryKey, error: `Validation errors: ${issues.join(', ')}` });
+    return;
+  }
+
+  const currentValues = new Map((existing?.fields || []).map(field => [field.key, field.value]));
+  const changes = validFields
+    .filter(field => currentValues.get(field.key) !== field.value)
+    .map(field => (
+      currentValues.get(field.key)
+        ? `${field.key}: '${currentValues.get(field.key)}' → '${field.value}'`
+        : `${field.key}: set to '${field.value}'`
+    ));
+
+  const entry = {
+    handle: entryKey,
+    productTitle: existing?.displayName || handle,
+    row: rows[0].row,
+    metaobjectType: type,
+    metaobjectHandle: handle,
+    status: existing ? 'update' : 'create',
+    changes
+  };
+
+  if (dryRun) {
+    results.success.push({ ...entry, fieldsToUpdate: changes.length, dryRun: true });
+    return;
+  }
+
+  // Nothing to write when every field already has its value
+  if (changes.length > 0) {
+    const upsertResponse = await admin.graphql(UPSERT_METAOBJECT, {
+      variables: {
+        handle: { type, handle },
+        metaobject: { fields: validFields.map(field => ({ key: field.key, value: field.value })) }
+      },
+      tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+    });
+    const upsertData = await upsertResponse.json();
+    const { metaobject, userErrors } = upsertData.data.metaobjectUpsert;
+
+    if (userErrors.length > 0) {
+      results.errors.push({
+        handle: entryKey,
+        error: `Metaobject update errors: ${userErrors.map(e => e.message).join(', ')}`
+      });
+      return;
+    }
+    entry.productTitle = metaobject.displayName;
+  }
+
+  results.success.push({ ...entry, fieldsUpdated: changes.length });
+}
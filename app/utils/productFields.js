@@ -0,0 +1,96 @@
+import { formatMetafieldValue, METAFIELD_DELETE_MARKER } from './csvProcessor.js';
+import { definitionType } from './metafieldDefinitions.js';
+
+// The product fields and metafields a product-properties row writes. Kept apart from
+// productProcessor (and its API calls) so they can be checked under plain node.
+
+// Built-in metafield columns (all in the custom namespace): the row field, the metafield key
+// and the type used when the shop has no definition. COA and SDS are URLs when they look like one.
+const BUILT_IN_METAFIELDS = [
+  { field: 'components', key: 'components', type: 'json' },
+  { field: 'shippingInfo', key: 'shipping_info' },
+  { field: 'unitPacks', key: 'unit_packs' },
+  { field: 'coa', key: 'coa', url: true },
+  { field: 'sds', key: 'sds', url: true },
+  { field: 'storageConditions', key: 'storage_conditions' },
+  { field: 'volume', key: 'volume' },
+  { field: 'matrix', key: 'matrix' },
+  { field: 'casNumber', key: 'cas_number' },
+  { field: 'catalogNumber', key: 'catalog_number' },
+  { field: 'dotHazardous', key: 'dot_hazardous' },
+  { field: 'expirationMonths', key: 'expiration_months', type: 'number_integer' }
+];
+
+/**
+ * The metafields a product-properties row writes, with unformatted values: the built-in
+ * columns, typed by the shop's definition when there is one, then the other metafield
+ * columns (typed by resolveMetafieldTypes). A built-in column for the same key wins.
+ */
+export function productMetafields(productData, definitions = new Map()) {
+  const metafields = [];
+
+  BUILT_IN_METAFIELDS.forEach(({ field, key, type, url }) => {
+    const value = productData[field] ? String(productData[field]).trim() : '';
+    if (!value) return;
+
+    const fallback = type || (url && /^https?:\/\//.test(value) ? 'url' : 'single_line_text_field');
+    metafields.push({
+      namespace: 'custom',
+      key,
+      value,
+      type: definitionType(definitions, 'custom', key, fallback),
+      row: productData.row
+    });
+  });
+
+  (productData.metafields || []).forEach(metafield => {
+    if (metafields.some(m => m.namespace === metafield.namespace && m.key === metafield.key)) return;
+    metafields.push(metafield);
+  });
+
+  return metafields;
+}
+
+/**
+ * Move a row's built-in metafield columns into its metafields list, e.g. once their
+ * references are resolved
+ */
+export function withMetafields(productData, metafields) {
+  const rest = { ...productData, metafields };
+  BUILT_IN_METAFIELDS.forEach(({ field }) => delete rest[field]);
+  return rest;
+}
+
+/**
+ * Build the product fields (title, description, status, metafields) for a CSV row.
+ * Tags are planned separately with planTagChanges.
+ */
+export function buildProductFields(productData, definitions = new Map()) {
+  const fields = {};
+
+  // Build product fields
+  if (productData.title) fields.title = productData.title;
+  if (productData.bodyHtml) fields.descriptionHtml = productData.bodyHtml;
+  if (productData.vendor) fields.vendor = productData.vendor;
+  if (productData.productType) fields.productType = productData.productType;
+
+  if (productData.published !== undefined) {
+    fields.status = productData.published ? 'ACTIVE' : 'DRAFT';
+  }
+
+  // Every metafield value is formatted for its type, built-in columns included
+  const metafields = productMetafields(productData, definitions).map(metafield => ({
+    namespace: metafield.namespace,
+    key: metafield.key,
+    value: metafield.value === METAFIELD_DELETE_MARKER
+      ? metafield.value
+      : formatMetafieldValue(metafield.value, metafield.type),
+    type: metafield.type
+  }));
+
+  if (metafields.length > 0) {
+    fields.metafields = metafields;
+  }
+
+  return fields;
+}
@@ -0,0 +1,101 @@
+import { RATE_LIMIT_CONFIG } from './csvProcessor';
+import { parseMatchKey } from './matchKey';
+import { searchValue } from './referenceResolver';
+import {
+  GET_PRODUCT_BY_HANDLE,
+  GET_PRODUCT_BY_ID,
+  FIND_PRODUCTS_BY_VARIANT,
+  FIND_PRODUCTS_BY_METAFIELD
+} from '../graphql/metafields';
+
+// Product lookup by the import's match key (see matchKey.js)
+// Searches are re-checked for an exact match, and a value that matches
+// more than one product is reported instead of picking one
+
+/**
+ * Keep one entry per product and return a lookup result
+ */
+function uniqueProductResult(products, matchKey, value) {
+  const unique = [...new Map(products.map(product => [product.id, product])).values()];
+
+  if (unique.length === 0) {
+    return { error: `Product with ${matchKey.label} '${value}' not found` };
+  }
+
+  if (unique.length > 1) {
+    return {
+      error: `${matchKey.label} '${value}' matches ${unique.length} products (${unique.map(p => p.handle).join(', ')}). Use a match key that is unique per product.`
+    };
+  }
+
+  return { product: unique[0] };
+}
+
+/**
+ * Find the product a group of rows belongs to.
+ * Returns { product } or { error } with a message for the results.
+ */
+export async function resolveProduct(admin, matchKeyValue, value) {
+  const matchKey = parseMatchKey(matchKeyValue);
+
+  if (matchKey.type === 'handle') {
+    const response = await admin.graphql(GET_PRODUCT_BY_HANDLE, {
+      variables: { handle: value },
+      tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+    });
+    const data = await response.json();
+    const product = data.data.productByHandle;
+
+    return product ? { product } : { error: `Product with handle '${value}' not found` };
+  }
+
+  if (matchKey.type === 'id') {
+    // Accept the numeric ID from the admin URL as well as the full GID
+    const id = /^\d+$/.test(value) ? `gid://shopify/Product/${value}` : value;
+    if (!id.startsWith('gid://shopify/Product/')) {
+      return { error: `'${value}' is not a product ID` };
+    }
+
+    const response = await admin.graphql(GET_PRODUCT_BY_ID, {
+      variables: { id },
+      tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+    });
+    const data = await response.json();
+    const product = data.data.product;
+
+    return product ? { product } : { error: `Product with ID '${value}' not found` };
+  }
+
+  if (matchKey.type === 'sku' || matchKey.type === 'barcode') {
+    const response = await admin.graphql(FIND_PRODUCTS_BY_VARIANT, {
+      variables: { query: `${matchKey.type}:${searchValue(value)}` },
+      tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+    });
+    const data = await response.json();
+
+    // Several variants of one product may share a barcode; that's still one product
+    const products = data.data.productVariants.edges
+      .map(edge => edge.node)
+      .filter(variant => variant[matchKey.type] === value)
+      .map(variant => variant.product);
+
+    return uniqueProductResult(products, matchKey, value);
+  }
+
+  // Metafield match; the definition must have admin filtering enabled to be searchable
+  const response = await admin.graphql(FIND_PRODUCTS_BY_METAFIELD, {
+    variables: {
+      query: `metafields.${matchKey.namespace}.${matchKey.key}:${searchValue(value)}`,
+      namespace: matchKey.namespace,
+      key: matchKey.key
+    },
+    tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+  });
+  const data = await response.json();
+
+  const products = data.data.products.edges
+    .map(edge => edge.node)
+    .filter(product => product.matchMetafield && product.matchMetafield.value.trim() === value);
+
+  return uniqueProductResult(products, matchKey, value);
+}
@@ -0,0 +1,801 @@
+import {
+  validateMetafieldValue,
+  formatMetafieldValue,
+  getOptimalBatchSize,
+  createBatches,
+  calculateDelay,
+  RATE_LIMIT_CONFIG,
+  DESTRUCTIVE_ACTIONS,
+  METAFIELD_DELETE_MARKER
+} from './csvProcessor';
+import {
+  GET_PRODUCT_BY_HANDLE,
+  SET_METAFIELDS,
+  UPDATE_PRODUCT_PROPERTIES,
+  CREATE_PRODUCT,
+  DUPLICATE_PRODUCT,
+  DELETE_PRODUCT,
+  ADD_TAGS,
+  REMOVE_TAGS,
+  DELETE_METAFIELDS
+} from '../graphql/metafields';
+import { processVariants } from './variantProcessor';
+import { processInventory } from './inventoryProcessor';
+import { processMetaobject } from './metaobjectProcessor';
+import { resolveProduct } from './productMatcher';
+import { CSV_IMPORT_TAG, planTagChanges, describeTagChanges } from './tagMode';
+import {
+  getProductMetafieldDefinitions,
+  resolveMetafieldTypes,
+  checkMetafieldDefinitions,
+  recordMissingDefinitions
+} from './metafieldDefinitions';
+import { resolveReferences } from './referenceResolver';
+import { resolveCollections, getProductCollections, applyCollectionChanges } from './collectionMembership';
+import { planCollectionChanges, describeCollectionChanges } from './collectionMode';
+import { productMetafields, withMetafields, buildProductFields } from './productFields';
+
+// Product update logic shared by the API route (small imports)
+// and the background job processor (large and streamed imports)
+
+/**
+ * Process grouped CSV data in rate-limited batches.
+ * `onBatchComplete` is called after every batch with (batchIndex, totalBatches)
+ * so callers can report progress. `matchKey` says what the group keys are
+ * (handles by default, see matchKey.js). With `upsert`, product rows whose
+ * product doesn't exist are created and listed in results.created. Archive and
+ * delete rows are only applied with `confirmDestructive`. `tagMode` is merge, replace
+ * or remove (see tagMode.js), and `collectionMode` likewise (see collectionMode.js).
+ */
+export async function processGroupedData(admin, groupedData, format, results, options = {}) {
+  const {
+    dryRun = false,
+    onBatchComplete,
+    matchKey,
+    upsert = false,
+    confirmDestructive = false,
+    tagMode = 'merge',
+    collectionMode = 'merge'
+  } = options;
+  const handles = Object.keys(groupedData);
+
+  // Process in batches to respect rate limits with adaptive sizing
+  const optimalBatchSize = getOptimalBatchSize(handles.length);
+  const batches = createBatches(handles, optimalBatchSize);
+
+  console.log(`Processing ${handles.length} products in ${batches.length} batches of size ${optimalBatchSize}`);
+
+  for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
+    const batch = batches[batchIndex];
+    const batchPromises = batch.map((handle) =>
+      processHandle(admin, handle, groupedData[handle], format, results, { dryRun, matchKey, upsert, confirmDestructive, tagMode, collectionMode })
+    );
+
+    // Wait for batch to complete with error handling
+    try {
+      await Promise.all(batchPromises);
+      const progressPercent = Math.round(((batchIndex + 1) / batches.length) * 100);
+      console.log(`Batch ${batchIndex + 1}/${batches.length} complete (${progressPercent}%). Processed: ${results.processed}, Errors: ${results.errors.length}`);
+    } catch (batchError) {
+      console.error(`Batch ${batchIndex + 1} failed:`, batchError);
+      results.errors.push({
+        handle: 'batch_error',
+        error: `Batch ${batchIndex + 1} processing failed: ${batchError.message}`
+      });
+    }
+
+    if (onBatchComplete) {
+      onBatchComplete(batchIndex, batches.length);
+    }
+
+    // Add adaptive delay between batches (but not after the last batch)
+    if (batchIndex < batches.length - 1) {
+      const delay = calculateDelay(batchIndex, batches.length, optimalBatchSize);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    // Force garbage collection between batches to prevent memory buildup
+    if (global.gc && batchIndex % 10 === 0) {
+      try {
+        global.gc();
+        console.log(`Garbage collection triggered after batch ${batchIndex + 1}`);
+      } catch (gcError) {
+        // Ignore GC errors
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Look up a product by its match key value (the handle by default) and apply its CSV data
+ */
+async function processHandle(admin, handle, handleData, format, results, options) {
+  const { dryRun, matchKey, upsert, confirmDestructive, tagMode, collectionMode } = options;
+
+  try {
+    // Variant rows look up their own product (possibly by SKU)
+    if (format === 'variants') {
+      await processVariants(admin, handle, handleData, results, dryRun);
+      results.processed++;
+      return;
+    }
+
+    // Inventory rows are grouped by SKU rather than handle
+    if (format === 'inventory') {
+      await processInventory(admin, handle, handleData, results, dryRun);
+      results.processed++;
+      return;
+    }
+
+    // Metaobject rows are grouped by 'type/handle' and don't belong to a product
+    if (format === 'metaobjects') {
+      await processMetaobject(admin, handle, handleData, results, dryRun);
+      results.processed++;
+      return;
+    }
+
+    // The shop's metafield definitions type and validate every metafield before anything is written
+    const definitions = format === 'metafields' || handleData.action === 'update'
+      ? await getProductMetafieldDefinitions(admin)
+      : new Map();
+
+    if (format === 'products' && handleData.action === 'update') {
+      // Keys without a definition are listed so the preview can offer to create them
+      recordMissingDefinitions(results, productMetafields(handleData, definitions), definitions);
+
+      // Built-in and other metafield columns take the type of the shop's definition,
+      // then handles, SKUs and file names in reference columns are replaced by GIDs
+      const typed = productMetafields({ ...handleData, metafields: resolveMetafieldTypes(handleData.metafields || [], definitions) }, definitions);
+      const references = await resolveReferences(admin, typed, definitions);
+      // Collections are looked up by handle or title, and smart collections refused
+      const collections = await resolveCollections(admin, handleData.collections, collectionMode);
+      handleData = { ...withMetafields(handleData, references.metafields), collectionList: collections };
+
+      const issues = [
+        ...references.issues,
+        ...(collections ? collections.issues : []),
+        ...checkProductMetafields(references.metafields, definitions)
+      ];
+      if (issues.length > 0) {
+        results.errors.push({ handle, error: `Validation errors: ${issues.join(', ')}` });
+        return;
+      }
+    }
+
+    // Get product by handle (or the configured match key) with retry logic
+    const { product, error } = await resolveProduct(admin, matchKey, handle);
+
+    const action = format === 'products' ? handleData.action : 'update';
+
+    if (!product) {
+      // Archive, unarchive and delete only apply to existing products
+      if (action !== 'update') {
+        results.errors.push({ handle, error: `${error}, nothing to ${action}` });
+        return;
+      }
+
+      // A Template Handle always creates the missing product, by duplicating the template
+      if (format === 'products' && handleData.templateHandle) {
+        await createProductFromTemplate(admin, handleData, results, dryRun, { tagMode, definitions });
+        results.processed++;
+        return;
+      }
+
+      // Upsert: create the product from the row instead of reporting it missing
+      if (upsert && format === 'products') {
+        await createProduct(admin, handleData, results, dryRun, { tagMode, definitions });
+        results.processed++;
+        return;
+      }
+
+      results.errors.push({ handle, error });
+      return;
+    }
+
+    if (action !== 'update') {
+      await processProductAction(admin, product, handleData, results, product.handle, { dryRun, confirmDestructive });
+    } else if (format === 'metafields') {
+      await processMetafields(admin, product, handleData, results, product.handle, dryRun, definitions);
+    } else if (format === 'products') {
+      await processProductProperties(admin, product, handleData, results, product.handle, dryRun, { tagMode, definitions });
+    }
+
+    results.processed++;
+
+  } catch (error) {
+    // Enhanced error handling for rate limits
+    if (error.message.includes('429') || error.message.includes('rate limit')) {
+      console.log(`Rate limit hit for handle ${handle}, will retry...`);
+      await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_CONFIG.RETRY_DELAY));
+    }
+
+    results.errors.push({
+      handle,
+      error: `Processing error: ${error.message}`
+    });
+  }
+}
+
+/**
+ * Validate and set metafields for a single product.
+ * Rows without a type take their definition's type, and every value is checked
+ * against its definition. Rows marked for deletion are removed with
+ * metafieldsDelete and counted separately.
+ */
+export async function processMetafields(admin, product, metafieldsToSet, results, handle, dryRun, definitions = new Map()) {
+  const validationErrors = [];
+  const validMetafields = [];
+
+  recordMissingDefinitions(results, metafieldsToSet.filter(metafield => !metafield.delete), definitions);
+
+  // Handles, SKUs and file names in reference metafields are replaced by GIDs
+  const references = await resolveReferences(
+    admin,
+    resolveMetafieldTypes(metafieldsToSet.filter(metafield => !metafield.delete), definitions),
+    definitions
+  );
+  validationErrors.push(...references.issues);
+
+  references.metafields.forEach((metafield) => {
+    if (!validateMetafieldValue(metafield.value, metafield.type)) {
+      validationErrors.push(`Invalid value '${metafield.value}' for type '${metafield.type}'`);
+    } else {
+      validMetafields.push({
+        ownerId: product.id,
+        namespace: metafield.namespace,
+        key: metafield.key,
+        value: formatMetafieldValue(metafield.value, metafield.type),
+        type: metafield.type
+      });
+    }
+  });
+
+  validationErrors.push(...checkMetafieldDefinitions(validMetafields, definitions));
+
+  if (validationErrors.length > 0) {
+    results.errors.push({
+      handle,
+      error: `Validation errors: ${validationErrors.join(', ')}`
+    });
+    return;
+  }
+
+  const { deletions, changes } = planMetafieldDeletions(product, metafieldsToSet.filter(metafield => metafield.delete));
+
+  if (!dryRun && (validMetafields.length > 0 || deletions.length > 0)) {
+    if (validMetafields.length > 0) {
+      // Set metafields with retry logic
+      const metafieldsResponse = await admin.graphql(SET_METAFIELDS, {
+        variables: { metafields: validMetafields },
+        tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+      });
+
+      const metafieldsData = await metafieldsResponse.json();
+
+      if (metafieldsData.data.metafieldsSet.userErrors.length > 0) {
+        results.errors.push({
+          handle,
+          error: `Metafield update errors: ${metafieldsData.data.metafieldsSet.userErrors.map(e => e.message).join(', ')}`
+        });
+        return;
+      }
+    }
+
+    const deleteErrors = await deleteMetafields(admin, product.id, deletions);
+    if (deleteErrors.length > 0) {
+      results.errors.push({
+        handle,
+        error: `Metafield delete errors: ${deleteErrors.map(e => e.message).join(', ')}`
+      });
+      return;
+    }
+
+    // Metafields updated successfully, now add the product_csv_import tag
+    // tagsAdd leaves the product's other tags untouched
+    try {
+      // Add the tag if it's not already present (tags come as an array from GraphQL)
+      if (!(product.tags || []).includes(CSV_IMPORT_TAG)) {
+        const userErrors = await applyTagChanges(admin, product.id, { add: [CSV_IMPORT_TAG], remove: [] });
+
+        if (userErrors.length > 0) {
+          console.warn(`Warning: Could not add tag to product ${handle}: ${userErrors.map(e => e.message).join(', ')}`);
+        }
+      }
+    } catch (error) {
+      console.warn(`Warning: Could not add tag to product ${handle}: ${error.message}`);
+    }
+
+    results.success.push({
+      handle,
+      metafieldsUpdated: validMetafields.length,
+      metafieldsDeleted: deletions.length,
+      productTitle: product.title,
+      changes
+    });
+  } else {
+    // Dry run - just validate
+    results.success.push({
+      handle,
+      metafieldsToUpdate: validMetafields.length,
+      metafieldsToDelete: deletions.length,
+      productTitle: product.title,
+      changes,
+      dryRun: true
+    });
+  }
+}
+
+/**
+ * Pick the requested deletions that exist on the product, describing each for the results.
+ * Deleting a metafield that isn't set is a no-op, so it's only noted.
+ */
+function planMetafieldDeletions(product, requested) {
+  const existing = new Map(
+    (product.metafields?.edges || []).map(edge => [`${edge.node.namespace}.${edge.node.key}`, edge.node])
+  );
+  const deletions = [];
+  const changes = [];
+
+  requested.forEach(({ namespace, key }) => {
+    const current = existing.get(`${namespace}.${key}`);
+    if (!current) {
+      changes.push(`${namespace}.${key}: not set, nothing to delete`);
+    } else if (!deletions.some(item => item.namespace === namespace && item.key === key)) {
+      deletions.push({ namespace, key });
+      changes.push(`${namespace}.${key}: delete (was '${current.value}')`);
+    }
+  });
+
+  return { deletions, changes };
+}
+
+/**
+ * Delete metafields from a product with metafieldsDelete. Returns the user errors.
+ */
+async function deleteMetafields(admin, ownerId, deletions) {
+  if (deletions.length === 0) return [];
+
+  const response = await admin.graphql(DELETE_METAFIELDS, {
+    variables: { metafields: deletions.map(({ namespace, key }) => ({ ownerId, namespace, key })) },
+    tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+  });
+  const data = await response.json();
+  return data.data.metafieldsDelete.userErrors;
+}
+
+/**
+ * Split product fields into the fields to write and the metafields marked for deletion
+ */
+export function splitMetafieldDeletions(fields) {
+  if (!fields.metafields) return { fields, deletions: [] };
+
+  const deletions = fields.metafields
+    .filter(metafield => metafield.value === METAFIELD_DELETE_MARKER)
+    .map(({ namespace, key }) => ({ namespace, key }));
+  const metafields = fields.metafields.filter(metafield => metafield.value !== METAFIELD_DELETE_MARKER);
+
+  const rest = { ...fields };
+  delete rest.metafields;
+  return {
+    fields: metafields.length > 0 ? { ...rest, metafields } : rest,
+    deletions
+  };
+}
+
+/**
+ * Check the metafields a product-properties row writes: each value against its type
+ * (the definition's type for built-in columns too, so a value that doesn't fit it is
+ * caught in the preview), then the formatted values against the shop's definition.
+ * Returns a list of problems.
+ */
+function checkProductMetafields(metafields, definitions) {
+  const issues = [];
+  const formatted = [];
+
+  metafields
+    .filter(metafield => metafield.value !== METAFIELD_DELETE_MARKER)
+    .forEach(metafield => {
+      if (!validateMetafieldValue(metafield.value, metafield.type)) {
+        issues.push(`Invalid value '${metafield.value}' for ${metafield.namespace}.${metafield.key} (type '${metafield.type}')`);
+      } else {
+        formatted.push({ ...metafield, value: formatMetafieldValue(metafield.value, metafield.type) });
+      }
+    });
+
+  return [...issues, ...checkMetafieldDefinitions(formatted, definitions)];
+}
+
+/**
+ * Apply a tag plan from planTagChanges with tagsRemove/tagsAdd.
+ * Returns the user errors of both mutations.
+ */
+async function applyTagChanges(admin, productId, { add, remove }) {
+  const userErrors = [];
+
+  if (remove.length > 0) {
+    const response = await admin.graphql(REMOVE_TAGS, {
+      variables: { id: productId, tags: remove },
+      tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+    });
+    const data = await response.json();
+    userErrors.push(...data.data.tagsRemove.userErrors);
+  }
+
+  if (add.length > 0) {
+    const response = await admin.graphql(ADD_TAGS, {
+      variables: { id: productId, tags: add },
+      tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+    });
+    const data = await response.json();
+    userErrors.push(...data.data.tagsAdd.userErrors);
+  }
+
+  return userErrors;
+}
+
+/**
+ * Build and apply the productUpdate input for a single product, then its tag and
+ * collection changes
+ */
+export async function processProductProperties(admin, product, productData, results, handle, dryRun, options = {}) {
+  const { tagMode = 'merge', definitions } = options;
+  const { fields, deletions: requestedDeletions } = splitMetafieldDeletions(buildProductFields(productData, definitions));
+  const updateInput = {
+    id: product.id,
+    ...fields
+  };
+
+  const tagPlan = planTagChanges(product.tags, productData.tags, tagMode);
+  const tagChange = describeTagChanges(tagPlan);
+  // Collection changes are planned against the collections the product is in now
+  const collectionPlan = productData.collectionList
+    ? planCollectionChanges(await getProductCollections(admin, product.id), productData.collectionList)
+    : { add: [], remove: [] };
+  const collectionChange = describeCollectionChanges(collectionPlan);
+  const { deletions, changes: deletionChanges } = planMetafieldDeletions(product, requestedDeletions);
+  const changes = [
+    ...(tagChange ? [tagChange] : []),
+    ...(collectionChange ? [collectionChange] : []),
+    ...deletionChanges
+  ];
+  const fieldCount = Object.keys(updateInput).length - 1 + (tagChange ? 1 : 0) + (collectionChange ? 1 : 0); // -1 for id
+
+  if (!dryRun) {
+    let productTitle = product.title;
+
+    // Update product with retry logic (a row may only change tags or collections)
+    if (Object.keys(updateInput).length > 1) {
+      const productResponse = await admin.graphql(UPDATE_PRODUCT_PROPERTIES, {
+        variables: { input: updateInput },
+        tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+      });
+
+      const productUpdateData = await productResponse.json();
+
+      if (productUpdateData.data.productUpdate.userErrors.length > 0) {
+        results.errors.push({
+          handle,
+          error: `Product update errors: ${productUpdateData.data.productUpdate.userErrors.map(e => e.message).join(', ')}`
+        });
+        return;
+      }
+      productTitle = productUpdateData.data.productUpdate.product.title;
+    }
+
+    const tagErrors = await applyTagChanges(admin, product.id, tagPlan);
+    if (tagErrors.length > 0) {
+      results.errors.push({
+        handle,
+        error: `Tag update errors: ${tagErrors.map(e => e.message).join(', ')}`
+      });
+      return;
+    }
+
+    const collectionErrors = await applyCollectionChanges(admin, product.id, collectionPlan);
+    if (collectionErrors.length > 0) {
+      results.errors.push({
+        handle,
+        error: `Collection update errors: ${collectionErrors.map(e => e.message).join(', ')}`
+      });
+      return;
+    }
+
+    const deleteErrors = await deleteMetafields(admin, product.id, deletions);
+    if (deleteErrors.length > 0) {
+      results.errors.push({
+        handle,
+        error: `Metafield delete errors: ${deleteErrors.map(e => e.message).join(', ')}`
+      });
+      return;
+    }
+
+    results.success.push({
+      handle,
+      fieldsUpdated: fieldCount,
+      metafieldsDeleted: deletions.length,
+      productTitle,
+      changes
+    });
+  } else {
+    // Dry run - just validate
+    results.success.push({
+      handle,
+      fieldsToUpdate: fieldCount,
+      metafieldsToDelete: deletions.length,
+      productTitle: product.title,
+      changes,
+      dryRun: true
+    });
+  }
+}
+
+/**
+ * Apply a row's Action (archive, unarchive or delete) to a single product.
+ * Other columns of the row are ignored. Destructive actions are marked in the
+ * results and skipped unless the import was confirmed.
+ */
+export async function processProductAction(admin, product, productData, results, handle, options) {
+  const { dryRun, confirmDestructive } = options;
+  const { action } = productData;
+  const destructive = DESTRUCTIVE_ACTIONS.includes(action);
+
+  if (destructive && !dryRun && !confirmDestructive) {
+    results.errors.push({ handle, error: `Not applied: '${action}' needs to be confirmed` });
+    return;
+  }
+
+  // Unarchived products go back to draft unless the row publishes them
+  let status = null;
+  if (action === 'archive') status = 'ARCHIVED';
+  if (action === 'unarchive') status = productData.published ? 'ACTIVE' : 'DRAFT';
+
+  const unchanged = status && product.status === status;
+  let change = 'Delete product';
+  if (status) change = unchanged ? `Status already ${status}` : `Status: ${product.status} → ${status}`;
+
+  if (!dryRun && !unchanged) {
+    if (action === 'delete') {
+      const response = await admin.graphql(DELETE_PRODUCT, {
+        variables: { input: { id: product.id } },
+        tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+      });
+      const data = await response.json();
+
+      if (data.data.productDelete.userErrors.length > 0) {
+        results.errors.push({
+          handle,
+          error: `Product delete errors: ${data.data.productDelete.userErrors.map(e => e.message).join(', ')}`
+        });
+        return;
+      }
+    } else {
+      const response = await admin.graphql(UPDATE_PRODUCT_PROPERTIES, {
+        variables: { input: { id: product.id, status } },
+        tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+      });
+      const data = await response.json();
+
+      if (data.data.productUpdate.userErrors.length > 0) {
+        results.errors.push({
+          handle,
+          error: `Product ${action} errors: ${data.data.productUpdate.userErrors.map(e => e.message).join(', ')}`
+        });
+        return;
+      }
+    }
+  }
+
+  results.success.push({
+    handle,
+    productTitle: product.title,
+    row: productData.row,
+    action,
+    destructive,
+    changes: [change],
+    dryRun
+  });
+}
+
+/**
+ * Create a product from a product-properties row (upsert mode).
+ * New products are drafts unless the row sets Published.
+ */
+export async function createProduct(admin, productData, results, dryRun, options = {}) {
+  const { tagMode = 'merge', definitions } = options;
+  const handle = productData.handle;
+
+  if (!handle) {
+    results.errors.push({
+      handle: productData.matchValue,
+      error: 'Product not found, and the row has no Handle to create it with'
+    });
+    return;
+  }
+
+  if (!productData.title) {
+    results.errors.push({ handle, error: `Product with handle '${handle}' not found, and the row has no Title to create it with` });
+    return;
+  }
+
+  const productInput = {
+    handle,
+    status: 'DRAFT',
+    // Nothing to delete on a new product
+    ...splitMetafieldDeletions(buildProductFields(productData, definitions)).fields,
+    tags: planTagChanges([], productData.tags, tagMode).tags
+  };
+  const collectionPlan = planCollectionChanges([], productData.collectionList || { join: [], leave: [] });
+  const collectionChange = describeCollectionChanges(collectionPlan);
+
+  if (dryRun) {
+    results.created.push({
+      handle,
+      productTitle: productInput.title,
+      fieldsToSet: Object.keys(productInput).length,
+      changes: collectionChange ? [collectionChange] : [],
+      dryRun: true
+    });
+    return;
+  }
+
+  const response = await admin.graphql(CREATE_PRODUCT, {
+    variables: { product: productInput },
+    tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+  });
+  const data = await response.json();
+
+  if (data.data.productCreate.userErrors.length > 0) {
+    results.errors.push({
+      handle,
+      error: `Product create errors: ${data.data.productCreate.userErrors.map(e => e.message).join(', ')}`
+    });
+    return;
+  }
+
+  const created = data.data.productCreate.product;
+
+  const collectionErrors = await applyCollectionChanges(admin, created.id, collectionPlan);
+  if (collectionErrors.length > 0) {
+    results.errors.push({
+      handle,
+      error: `Created, but could not add to collections: ${collectionErrors.map(e => e.message).join(', ')}`
+    });
+    return;
+  }
+
+  results.created.push({
+    handle: created.handle,
+    productTitle: created.title,
+    fieldsSet: Object.keys(productInput).length,
+    changes: collectionChange ? [collectionChange] : []
+  });
+}
+
+/**
+ * Create a product by duplicating the row's template product (options, images, SEO,
+ * metafields and so on), then give it the row's handle and apply the CSV fields over it
+ */
+export async function createProductFromTemplate(admin, productData, results, dryRun, options = {}) {
+  const { tagMode = 'merge', definitions } = options;
+  const { handle, templateHandle } = productData;
+
+  if (!handle) {
+    results.errors.push({
+      handle: productData.matchValue,
+      error: `Product not found, and the row has no Handle to create it from template '${templateHandle}'`
+    });
+    return;
+  }
+
+  const templateResponse = await admin.graphql(GET_PRODUCT_BY_HANDLE, {
+    variables: { handle: templateHandle },
+    tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+  });
+  const templateData = await templateResponse.json();
+  const template = templateData.data.productByHandle;
+
+  if (!template) {
+    results.errors.push({ handle, error: `Template product '${templateHandle}' not found` });
+    return;
+  }
+
+  const title = productData.title || template.title;
+
+  if (dryRun) {
+    const fields = {
+      handle,
+      ...splitMetafieldDeletions(buildProductFields(productData, definitions)).fields,
+      tags: planTagChanges(template.tags, productData.tags, tagMode).tags
+    };
+    // The copy starts out in the template's collections
+    const collectionChange = productData.collectionList
+      ? describeCollectionChanges(planCollectionChanges(await getProductCollections(admin, template.id), productData.collectionList))
+      : null;
+    results.created.push({
+      handle,
+      productTitle: title,
+      template: templateHandle,
+      fieldsToSet: Object.keys(fields).length,
+      changes: collectionChange ? [collectionChange] : [],
+      dryRun: true
+    });
+    return;
+  }
+
+  const duplicateResponse = await admin.graphql(DUPLICATE_PRODUCT, {
+    variables: {
+      productId: template.id,
+      newTitle: title,
+      newStatus: 'DRAFT'
+    },
+    tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+  });
+  const duplicateData = await duplicateResponse.json();
+
+  if (duplicateData.data.productDuplicate.userErrors.length > 0) {
+    results.errors.push({
+      handle,
+      error: `Template duplicate errors: ${duplicateData.data.productDuplicate.userErrors.map(e => e.message).join(', ')}`
+    });
+    return;
+  }
+
+  const duplicate = duplicateData.data.productDuplicate.newProduct;
+
+  // The duplicate gets a handle generated from its title, so set the row's handle with the CSV fields.
+  // It's a new product, so its tag list can be set whole
+  const { fields, deletions } = splitMetafieldDeletions(buildProductFields(productData, definitions));
+  const updateInput = {
+    id: duplicate.id,
+    handle,
+    ...fields,
+    tags: planTagChanges(duplicate.tags, productData.tags, tagMode).tags
+  };
+
+  const updateResponse = await admin.graphql(UPDATE_PRODUCT_PROPERTIES, {
+    variables: { input: updateInput },
+    tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+  });
+  const updateData = await updateResponse.json();
+
+  if (updateData.data.productUpdate.userErrors.length > 0) {
+    results.errors.push({
+      handle,
+      error: `Duplicated template as '${duplicate.handle}' but could not apply the CSV fields: ${updateData.data.productUpdate.userErrors.map(e => e.message).join(', ')}`
+    });
+    return;
+  }
+
+  // Metafields copied from the template that the row clears
+  const deleteErrors = await deleteMetafields(admin, duplicate.id, deletions);
+  if (deleteErrors.length > 0) {
+    results.errors.push({
+      handle,
+      error: `Created from template, but could not delete metafields: ${deleteErrors.map(e => e.message).join(', ')}`
+    });
+    return;
+  }
+
+  const collectionPlan = productData.collectionList
+    ? planCollectionChanges(await getProductCollections(admin, duplicate.id), productData.collectionList)
+    : { add: [], remove: [] };
+  const collectionErrors = await applyCollectionChanges(admin, duplicate.id, collectionPlan);
+  if (collectionErrors.length > 0) {
+    results.errors.push({
+      handle,
+      error: `Created from template, but could not update collections: ${collectionErrors.map(e => e.message).join(', ')}`
+    });
+    return;
+  }
+  const collectionChange = describeCollectionChanges(collectionPlan);
+
+  results.created.push({
+    handle: updateData.data.productUpdate.product.handle,
+    productTitle: updateData.data.productUpdate.product.title,
+    template: templateHandle,
+    fieldsSet: Object.keys(updateInput).length - 1, // -1 for id
+    changes: collectionChange ? [collectionChange] : []
+  });
+}
@@ -0,0 +1,215 @@
+import { RATE_LIMIT_CONFIG, METAFIELD_DELETE_MARKER, splitListValue } from './csvProcessor';
+import {
+  FIND_PRODUCT_REFERENCE,
+  FIND_VARIANT_REFERENCE,
+  FIND_COLLECTION_REFERENCE,
+  FIND_PAGE_REFERENCE,
+  FIND_FILE_REFERENCE,
+  FIND_METAOBJECT_REFERENCE,
+  FIND_METAOBJECT_DEFINITION_TYPE
+} from '../graphql/references';
+
+// Reference metafields store GIDs, but a CSV can name what they point to instead:
+// a product or collection by handle, a variant by SKU, a page by handle and a file
+// by file name, and a metaobject entry by 'type/handle' (or just its handle when the
+// metafield's definition is limited to one metaobject type). Each name is looked up
+// once per import and replaced by its GID. A value that is already a GID is kept as it is.
+
+// Lookups are cached per admin client (one per request or job)
+const referenceCache = new WeakMap();
+
+/**
+ * Quote a value for Shopify's search syntax
+ */
+export function searchValue(value) {
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Run a lookup query and return its data
+ */
+async function query(admin, document, variables) {
+  const response = await admin.graphql(document, {
+    variables,
+    tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+  });
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * The file name at the end of a file URL, without its query string
+ */
+function fileName(url) {
+  return url ? decodeURIComponent(url.split('?')[0].split('/').pop()) : null;
+}
+
+// How each reference type is looked up. find returns the GIDs that match a value exactly
+const REFERENCE_LOOKUPS = {
+  product_reference: {
+    label: 'product with handle',
+    find: async (admin, value) => {
+      const data = await query(admin, FIND_PRODUCT_REFERENCE, { handle: value });
+      return data.productByHandle ? [data.productByHandle.id] : [];
+    }
+  },
+  variant_reference: {
+    label: 'variant with SKU',
+    find: async (admin, value) => {
+      const data = await query(admin, FIND_VARIANT_REFERENCE, { query: `sku:${searchValue(value)}` });
+      return data.productVariants.edges
+        .map(edge => edge.node)
+        .filter(variant => variant.sku === value)
+        .map(variant => variant.id);
+    }
+  },
+  collection_reference: {
+    label: 'collection with handle',
+    find: async (admin, value) => {
+      const data = await query(admin, FIND_COLLECTION_REFERENCE, { handle: value });
+      return data.collectionByHandle ? [data.collectionByHandle.id] : [];
+    }
+  },
+  page_reference: {
+    label: 'page with handle',
+    find: async (admin, value) => {
+      const data = await query(admin, FIND_PAGE_REFERENCE, { query: `handle:${searchValue(value)}` });
+      return data.pages.edges
+        .map(edge => edge.node)
+        .filter(page => page.handle === value)
+        .map(page => page.id);
+    }
+  },
+  file_reference: {
+    label: 'file named',
+    find: async (admin, value) => {
+      const data = await query(admin, FIND_FILE_REFERENCE, { query: `filename:${searchValue(value)}` });
+      return data.files.edges
+        .map(edge => edge.node)
+        .filter(file => (file.filename || fileName(file.url || file.image?.url)) === value)
+        .map(file => file.id);
+    }
+  },
+  metaobject_reference: {
+    label: 'metaobject',
+    find: async (admin, value) => {
+      const [type, handle] = value.split('/');
+      const data = await query(admin, FIND_METAOBJECT_REFERENCE, { handle: { type, handle } });
+      return data.metaobjectByHandle ? [data.metaobjectByHandle.id] : [];
+    }
+  }
+};
+
+/**
+ * Whether a metafield type (or list type) holds references this module can resolve
+ */
+export function isReferenceType(type) {
+  return Boolean(type) && Boolean(REFERENCE_LOOKUPS[type.replace(/^list\./, '')]);
+}
+
+/**
+ * Run a lookup once per admin client and key
+ */
+function cachedLookup(admin, cacheKey, find) {
+  if (!referenceCache.has(admin)) {
+    referenceCache.set(admin, new Map());
+  }
+  const cache = referenceCache.get(admin);
+
+  if (!cache.has(cacheKey)) {
+    const request = find();
+    request.catch(() => cache.delete(cacheKey));
+    cache.set(cacheKey, request);
+  }
+  return cache.get(cacheKey);
+}
+
+/**
+ * The GIDs matching a reference value
+ */
+function lookupReference(admin, type, value) {
+  return cachedLookup(admin, `${type}:${value}`, () => REFERENCE_LOOKUPS[type].find(admin, value));
+}
+
+/**
+ * A metaobject reference as 'type/handle'. A bare handle takes the metaobject type
+ * the definition is limited to; returns null if there is none.
+ */
+async function metaobjectReferenceValue(admin, item, definition) {
+  if (item.includes('/')) return item;
+
+  const rule = (definition?.validations || []).find(validation => validation.name === 'metaobject_definition_id');
+  if (!rule) return null;
+
+  const type = await cachedLookup(admin, `metaobject_definition:${rule.value}`, async () => {
+    const data = await query(admin, FIND_METAOBJECT_DEFINITION_TYPE, { id: rule.value });
+    return data.metaobjectDefinition?.type || null;
+  });
+  return type ? `${type}/${item}` : null;
+}
+
+/**
+ * Replace handles, SKUs and file names in reference metafields with GIDs.
+ * `definitions` (a map of 'namespace.key' to definition) gives the metaobject type of
+ * bare metaobject handles. Returns { metafields, issues }: metafields with a reference
+ * that can't be resolved are left out and described in issues (prefixed with their row, when known).
+ */
+export async function resolveReferences(admin, metafields, definitions = new Map()) {
+  const resolved = [];
+  const issues = [];
+
+  for (const metafield of metafields) {
+    const isDelete = metafield.delete || metafield.value === METAFIELD_DELETE_MARKER;
+    if (isDelete || !isReferenceType(metafield.type)) {
+      resolved.push(metafield);
+      continue;
+    }
+
+    const isList = metafield.type.startsWith('list.');
+    const type = metafield.type.replace(/^list\./, '');
+    const items = isList ? splitListValue(metafield.value) : [metafield.value.trim()];
+    const prefix = `${metafield.row ? `Row ${metafield.row}: ` : ''}${metafield.namespace}.${metafield.key}`;
+
+    // Malformed lists are reported by value validation
+    if (!items) {
+      resolved.push(metafield);
+      continue;
+    }
+
+    const ids = [];
+    const problems = [];
+
+    for (const item of items) {
+      if (item.startsWith('gid://')) {
+        ids.push(item);
+        continue;
+      }
+
+      let value = item;
+      if (type === 'metaobject_reference') {
+        value = await metaobjectReferenceValue(admin, item, definitions.get(`${metafield.namespace}.${metafield.key}`));
+        if (!value) {
+          problems.push(`${prefix}: give the metaobject '${item}' as type/handle`);
+          continue;
+        }
+      }
+
+      const matches = await lookupReference(admin, type, value);
+      if (matches.length === 1) {
+        ids.push(matches[0]);
+      } else if (matches.length === 0) {
+        problems.push(`${prefix}: no ${REFERENCE_LOOKUPS[type].label} '${value}'`);
+      } else {
+        problems.push(`${prefix}: '${item}' matches ${matches.length} ${type.replace('_reference', '')}s`);
+      }
+    }
+
+    if (problems.length > 0) {
+      issues.push(...problems);
+    } else {
+      resolved.push({ ...metafield, value: isList ? JSON.stringify(ids) : ids[0] });
+    }
+  }
+
+  return { metafields: resolved, issues };
+}
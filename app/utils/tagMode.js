@@ -0,0 +1,81 @@
+// Tag modes: how a row's Tags value changes the product's tags.
+// 'merge' (default) adds the listed tags, 'replace' also removes tags that aren't
+// listed, and 'remove' removes the listed tags. In merge and replace mode a tag
+// written as '-clearance' is removed instead of added.
+// Changes are applied with tagsAdd/tagsRemove, so tags not named are left alone.
+
+export const CSV_IMPORT_TAG = 'product_csv_import';
+
+export const TAG_MODE_OPTIONS = [
+  { label: 'Merge (add listed tags)', value: 'merge' },
+  { label: 'Replace (remove tags not listed)', value: 'replace' },
+  { label: 'Remove (remove listed tags)', value: 'remove' }
+];
+
+/**
+ * Validate a tag mode, defaulting to merge
+ */
+export function parseTagMode(value) {
+  if (!value) return 'merge';
+
+  if (!TAG_MODE_OPTIONS.some(option => option.value === value)) {
+    throw new Error(`Invalid tag mode '${value}'. Use merge, replace or remove`);
+  }
+  return value;
+}
+
+/**
+ * Work out the tags to add and remove for a row's comma-separated Tags value.
+ * Tags compare case-insensitively, as in Shopify. The import tag is always added.
+ * Returns { add, remove, tags } where tags is the resulting tag list.
+ */
+export function planTagChanges(currentTags = [], tagsValue = '', mode = 'merge') {
+  const listed = (tagsValue || '').split(',').map(tag => tag.trim()).filter(tag => tag);
+  const wanted = [];
+  const unwanted = [];
+
+  listed.forEach(tag => {
+    const name = tag.replace(/^-/, '').trim();
+    if (!name) return;
+
+    if (mode === 'remove' || tag.startsWith('-')) {
+      unwanted.push(name);
+    } else {
+      wanted.push(name);
+    }
+  });
+  wanted.push(CSV_IMPORT_TAG);
+
+  const lower = tags => new Set(tags.map(tag => tag.toLowerCase()));
+  const current = lower(currentTags);
+  const wantedSet = lower(wanted);
+  const unwantedSet = lower(unwanted);
+
+  // An empty Tags cell never clears the product's tags, even in replace mode
+  const replacing = mode === 'replace' && listed.length > 0;
+
+  const remove = currentTags.filter(tag => {
+    const key = tag.toLowerCase();
+    if (wantedSet.has(key)) return false;
+    return unwantedSet.has(key) || replacing;
+  });
+
+  const add = [...new Map(
+    wanted
+      .filter(tag => !current.has(tag.toLowerCase()) && !unwantedSet.has(tag.toLowerCase()))
+      .map(tag => [tag.toLowerCase(), tag])
+  ).values()];
+
+  const removeSet = lower(remove);
+  const tags = [...currentTags.filter(tag => !removeSet.has(tag.toLowerCase())), ...add];
+
+  return { add, remove, tags };
+}
+
+/**
+ * Describe a tag plan for the results, e.g. "Tags: +sale, -clearance"
+ */
+export function describeTagChanges({ add, remove }) {
+  if (add.length === 0 && remove.length === 0) return null;
+  return `Tags: ${[...add.map(tag => `+${tag}`), ...remove.map(tag => `-${tag}`)].join(', ')}`;
+}
@@ -0,0 +1,132 @@
+// Optional unit normalization for components concentrations and the Volume and
+// Unit/Packs columns. Quantities such as '1,000 ug/ml', '1 mg/mL' and '1000 ppm' are
+// parsed into a number and a unit, converted to the configured unit of their kind and
+// written back as one consistent string ('1000 μg/mL'). ppm and ppb are taken as
+// mass per volume of an aqueous solution (1 ppm = 1 mg/L = 1 μg/mL).
+
+// Units per kind, with their size relative to the kind's base unit (μg/mL, mL, mg).
+// Keys are the canonical spellings; see unitKey for the spellings accepted.
+const UNITS = {
+  concentration: {
+    'ng/mL': 0.001,
+    'μg/mL': 1,
+    'mg/mL': 1000,
+    'g/mL': 1000000,
+    'ng/L': 0.000001,
+    'μg/L': 0.001,
+    'mg/L': 1,
+    'g/L': 1000,
+    'ng/μL': 1,
+    'μg/μL': 1000,
+    ppb: 0.001,
+    ppm: 1
+  },
+  volume: {
+    'μL': 0.001,
+    mL: 1,
+    L: 1000
+  },
+  mass: {
+    'μg': 0.001,
+    mg: 1,
+    g: 1000,
+    kg: 1000000
+  }
+};
+
+export const UNIT_NORMALIZATION_DEFAULTS = {
+  concentration: 'μg/mL',
+  volume: 'mL',
+  mass: 'mg'
+};
+
+/**
+ * Units a kind can be normalized to, for the settings
+ */
+export function unitOptions(kind) {
+  return Object.keys(UNITS[kind]);
+}
+
+/**
+ * Lowercase a unit spelling and unify the micro prefix on the Greek mu (U+03BC) the
+ * shop's data uses: 'µg/ml' (micro sign U+00B5), 'ug/ml' and 'mcg/mL' all become 'μg/ml'
+ */
+function unitKey(unit) {
+  return unit
+    .trim()
+    .replace(/\s*\/\s*/g, '/')
+    .replace(/\u00b5/g, 'μ')
+    .replace(/\bmcg/gi, 'μg')
+    .replace(/\bu(?=[gl])/gi, 'μ')
+    .toLowerCase();
+}
+
+/**
+ * Find a unit's kind and canonical spelling, or null
+ */
+function findUnit(unit, kinds) {
+  const key = unitKey(unit);
+
+  for (const kind of kinds) {
+    const canonical = Object.keys(UNITS[kind]).find(name => name.toLowerCase() === key);
+    if (canonical) return { kind, unit: canonical };
+  }
+  return null;
+}
+
+/**
+ * Format a converted number without floating point noise (0.1 * 3 → 0.3)
+ */
+function formatNumber(value) {
+  return String(Number(value.toPrecision(12)));
+}
+
+/**
+ * Validate the unit normalization settings from the form: null (off) or
+ * { concentration, volume, mass } with a unit for each kind
+ */
+export function parseUnitNormalization(value) {
+  if (!value) return null;
+
+  const settings = { ...UNIT_NORMALIZATION_DEFAULTS, ...JSON.parse(value) };
+  Object.keys(UNIT_NORMALIZATION_DEFAULTS).forEach(kind => {
+    if (!UNITS[kind][settings[kind]]) {
+      throw new Error(`Invalid ${kind} unit '${settings[kind]}'. Use ${unitOptions(kind).join(', ')}`);
+    }
+  });
+  return settings;
+}
+
+/**
+ * Convert a quantity ('1,000 ug/ml') of one of `kinds` to the unit configured for its
+ * kind. Returns { value } with the normalized string, or { error }.
+ */
+export function normalizeQuantity(text, kinds, settings) {
+  const match = /^\s*(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d*\.?\d+)\s*(.+?)\s*$/.exec(text);
+  if (!match) {
+    return { error: `'${text}' is not a number and unit` };
+  }
+
+  const found = findUnit(match[2], kinds);
+  if (!found) {
+    return { error: `'${text}' has an unknown unit '${match[2]}' (use ${kinds.flatMap(unitOptions).join(', ')})` };
+  }
+
+  const target = settings[found.kind];
+  const amount = Number(match[1].replace(/,/g, ''));
+  const converted = amount * UNITS[found.kind][found.unit] / UNITS[found.kind][target];
+
+  return { value: `${formatNumber(converted)} ${target}` };
+}
+
+/**
+ * Normalize a Unit/Packs value: a quantity, optionally preceded by a pack count
+ * ('5 x 1 mL'). The quantity may be a volume or a mass.
+ */
+export function normalizeUnitPacks(text, settings) {
+  const pack = /^\s*(\d+)\s*[x×]\s*(.+)$/i.exec(text);
+  const result = normalizeQuantity(pack ? pack[2] : text, ['volume', 'mass'], settings);
+
+  if (result.error || !pack) return result;
+  return { value: `${pack[1]} x ${result.value}` };
+}
@@ -0,0 +1,39 @@
+import {
+  unstable_composeUploadHandlers,
+  unstable_createFileUploadHandler,
+  unstable_createMemoryUploadHandler,
+  unstable_parseMultipartFormData
+} from "@remix-run/node";
+
+// Uploads are written to a temp file instead of being buffered in memory,
+// so catalog exports of several hundred MB can be streamed from disk
+export const MAX_UPLOAD_SIZE_BYTES = 500 * 1024 * 1024; // 500MB
+
+/**
+ * Parse a multipart request, writing file parts to disk and keeping
+ * the small text fields (dryRun, etc.) in memory
+ */
+export async function parseUploadFormData(request) {
+  const uploadHandler = unstable_composeUploadHandlers(
+    unstable_createFileUploadHandler({
+      maxPartSize: MAX_UPLOAD_SIZE_BYTES
+    }),
+    unstable_createMemoryUploadHandler()
+  );
+
+  return unstable_parseMultipartFormData(request, uploadHandler);
+}
+
+/**
+ * Remove the temp file backing an upload once processing is done.
+ * In-memory files have nothing to clean up.
+ */
+export async function removeUploadedFile(file) {
+  if (!file || typeof file.remove !== 'function') return;
+
+  try {
+    await file.remove();
+  } catch (error) {
+    console.warn(`Could not remove uploaded file ${file.name}: ${error.message}`);
+  }
+}
@@ -0,0 +1,221 @@
+import { RATE_LIMIT_CONFIG } from './csvProcessor';
+import {
+  GET_PRODUCT_VARIANTS_BY_HANDLE,
+  GET_VARIANTS_BY_SKU,
+  UPDATE_PRODUCT_VARIANTS
+} from '../graphql/variants';
+
+// Variant-level updates (price, compare-at price, SKU, barcode, weight, inventory policy)
+// Rows are matched to variants by SKU or by Handle + option values, and each
+// product's variants are updated in one productVariantsBulkUpdate call
+
+/**
+ * Find the variants whose option values match the row's, in option order (case-insensitive)
+ */
+function findVariantsByOptions(variants, optionValues) {
+  const normalize = (value) => value.trim().toLowerCase();
+
+  return variants.filter(variant =>
+    optionValues.every((value, index) =>
+      variant.selectedOptions[index] &&
+      normalize(variant.selectedOptions[index].value) === normalize(value)
+    )
+  );
+}
+
+/**
+ * Compare a CSV row with the current variant and build the bulk update input
+ * for the fields that actually change, plus a readable list of those changes
+ */
+export function buildVariantUpdate(variant, row) {
+  const input = { id: variant.id };
+  const inventoryItem = {};
+  const changes = [];
+  const label = variant.sku || variant.title;
+  const recordChange = (field, from, to) => {
+    changes.push(`${label}: ${field} ${from === null || from === undefined || from === '' ? '(none)' : from} → ${to}`);
+  };
+
+  if (row.price && Number(row.price) !== Number(variant.price)) {
+    input.price = row.price;
+    recordChange('price', variant.price, row.price);
+  }
+
+  if (row.compareAtPrice && (variant.compareAtPrice === null || Number(row.compareAtPrice) !== Number(variant.compareAtPrice))) {
+    input.compareAtPrice = row.compareAtPrice;
+    recordChange('compare-at price', variant.compareAtPrice, row.compareAtPrice);
+  }
+
+  if (row.barcode && row.barcode !== (variant.barcode || '')) {
+    input.barcode = row.barcode;
+    recordChange('barcode', variant.barcode, row.barcode);
+  }
+
+  if (row.inventoryPolicy && row.inventoryPolicy !== variant.inventoryPolicy) {
+    input.inventoryPolicy = row.inventoryPolicy;
+    recordChange('inventory policy', variant.inventoryPolicy, row.inventoryPolicy);
+  }
+
+  // A row matched by SKU can't also change it, so SKU is only updated for option matches
+  if (row.matchBy === 'options' && row.sku && row.sku !== (variant.sku || '')) {
+    inventoryItem.sku = row.sku;
+    recordChange('SKU', variant.sku, row.sku);
+  }
+
+  if (row.weight) {
+    const current = variant.inventoryItem?.measurement?.weight;
+    if (!current || Number(current.value) !== Number(row.weight) || current.unit !== row.weightUnit) {
+      inventoryItem.measurement = {
+        weight: { value: Number(row.weight), unit: row.weightUnit }
+      };
+      recordChange('weight', current ? `${current.value} ${current.unit}` : null, `${row.weight} ${row.weightUnit}`);
+    }
+  }
+
+  if (Object.keys(inventoryItem).length > 0) {
+    input.inventoryItem = inventoryItem;
+  }
+
+  return { input, changes };
+}
+
+/**
+ * Resolve the rows of a group to their product and variants.
+ * Returns null (after recording the error) when the product can't be found.
+ */
+async function resolveVariants(admin, key, rows, results) {
+  if (key.startsWith('sku:')) {
+    const sku = rows[0].sku;
+    const response = await admin.graphql(GET_VARIANTS_BY_SKU, {
+      variables: { query: `sku:"${sku.replace(/"/g, '\\"')}"` },
+      tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+    });
+    const data = await response.json();
+
+    // The search matches SKU tokens, so keep only exact matches
+    const matches = data.data.productVariants.edges
+      .map(edge => edge.node)
+      .filter(variant => variant.sku === sku);
+
+    if (matches.length === 0) {
+      results.errors.push({ handle: sku, error: `Row ${rows[0].row}: No variant with SKU '${sku}' found` });
+      return null;
+    }
+
+    if (matches.length > 1) {
+      const handles = matches.map(variant => variant.product.handle).join(', ');
+      results.errors.push({
+        handle: sku,
+        error: `Row ${rows[0].row}: SKU '${sku}' is used by ${matches.length} variants (${handles}). Use Handle and option values instead.`
+      });
+      return null;
+    }
+
+    return {
+      product: matches[0].product,
+      matched: rows.map(row => ({ row, variant: matches[0] }))
+    };
+  }
+
+  const response = await admin.graphql(GET_PRODUCT_VARIANTS_BY_HANDLE, {
+    variables: { handle: key },
+    tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+  });
+  const data = await response.json();
+  const product = data.data.productByHandle;
+
+  if (!product) {
+    results.errors.push({ handle: key, error: `Product with handle '${key}' not found` });
+    return null;
+  }
+
+  const variants = product.variants.edges.map(edge => edge.node);
+  const matched = [];
+
+  rows.forEach(row => {
+    const candidates = findVariantsByOptions(variants, row.optionValues);
+    const options = row.optionValues.join(' / ');
+
+    if (candidates.length === 1) {
+      matched.push({ row, variant: candidates[0] });
+    } else if (candidates.length === 0) {
+      results.errors.push({ handle: key, error: `Row ${row.row}: No variant with options '${options}'` });
+    } else {
+      results.errors.push({
+        handle: key,
+        error: `Row ${row.row}: Options '${options}' match ${candidates.length} variants. Give a value for every option.`
+      });
+    }
+  });
+
+  return { product, matched };
+}
+
+/**
+ * Apply the variant rows of one group (a product handle, or a single SKU)
+ */
+export async function processVariants(admin, key, rows, results, dryRun) {
+  const resolved = await resolveVariants(admin, key, rows, results);
+  if (!resolved) return;
+
+  const { product } = resolved;
+  const updates = [];
+  const seen = new Map();
+
+  resolved.matched.forEach(({ row, variant }) => {
+    // Two rows for one variant would send conflicting inputs in the same bulk update
+    if (seen.has(variant.id)) {
+      results.errors.push({
+        handle: product.handle,
+        error: `Row ${row.row}: Same variant as row ${seen.get(variant.id)}, skipped`
+      });
+      return;
+    }
+    seen.set(variant.id, row.row);
+
+    const update = buildVariantUpdate(variant, row);
+    if (update.changes.length > 0) {
+      updates.push(update);
+    }
+  });
+
+  const changes = updates.flatMap(update => update.changes);
+
+  if (dryRun) {
+    results.success.push({
+      handle: product.handle,
+      variantsToUpdate: updates.length,
+      productTitle: product.title,
+      changes,
+      dryRun: true
+    });
+    return;
+  }
+
+  if (updates.length > 0) {
+    const response = await admin.graphql(UPDATE_PRODUCT_VARIANTS, {
+      variables: {
+        productId: product.id,
+        variants: updates.map(update => update.input)
+      },
+      tries: RATE_LIMIT_CONFIG.MAX_RETRIES
+    });
+    const data = await response.json();
+    const userErrors = data.data.productVariantsBulkUpdate.userErrors;
+
+    if (userErrors.length > 0) {
+      results.errors.push({
+        handle: product.handle,
+        error: `Variant update errors: ${userErrors.map(e => e.message).join(', ')}`
+      });
+      return;
+    }
+  }
+
+  results.success.push({
+    handle: product.handle,
+    variantsUpdated: updates.length,
+    productTitle: product.title,
+    changes
+  });
+}
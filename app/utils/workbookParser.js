@@ -0,0 +1,95 @@
+import * as XLSX from 'xlsx';
+
+// Excel (.xlsx) and OpenDocument (.ods) support
+// Cells are read as their formatted text, so μ, °C and quoted HTML come through
+// exactly as typed in the spreadsheet - no CSV export or repair step involved
+
+export const WORKBOOK_EXTENSIONS = ['.xlsx', '.ods'];
+
+export const WORKBOOK_MIME_TYPES = [
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.oasis.opendocument.spreadsheet'
+];
+
+// Workbooks are compressed and can only be read whole, so a file a fraction of the
+// upload limit can expand to many times its size in memory. Larger ones must be exported
+// as CSV or NDJSON, which are streamed.
+export const MAX_WORKBOOK_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Check whether an uploaded file is a workbook rather than a text file
+ */
+export function isWorkbookFile(file) {
+  const name = (file.name || '').toLowerCase();
+  return WORKBOOK_EXTENSIONS.some(extension => name.endsWith(extension)) ||
+    WORKBOOK_MIME_TYPES.includes(file.type);
+}
+
+/**
+ * Convert a worksheet to row objects keyed by the header row, with every value
+ * as a string to match what Papa Parse produces for CSV files
+ */
+function sheetToRows(sheet) {
+  const rows = XLSX.utils.sheet_to_json(sheet, {
+    defval: '',      // Keep empty cells so every row has every header
+    raw: false,      // Use the formatted cell text, not the underlying number/date
+    blankrows: false
+  });
+
+  return rows.map(row => {
+    const normalized = {};
+    Object.entries(row).forEach(([header, value]) => {
+      normalized[header.trim()] = value === null || value === undefined ? '' : String(value);
+    });
+    return normalized;
+  });
+}
+
+/**
+ * Read the rows of one worksheet from an .xlsx/.ods upload.
+ * Without a sheetName, the first sheet that has a Handle column is used
+ * (falling back to the first sheet), since workbooks often start with a notes tab.
+ */
+export async function parseWorkbook(file, options = {}) {
+  if (file.size > MAX_WORKBOOK_BYTES) {
+    throw new Error(`Workbooks over ${MAX_WORKBOOK_BYTES / (1024 * 1024)}MB can't be read. Export the worksheet as CSV or NDJSON instead, which are streamed.`);
+  }
+
+  const buffer = Buffer.from(await file.arrayBuffer());
+  // Only cell values are needed: skip formulas, rich text and styles
+  const workbook = XLSX.read(buffer, {
+    type: 'buffer',
+    dense: true,
+    cellFormula: false,
+    cellHTML: false,
+    cellStyles: false
+  });
+  const sheetNames = workbook.SheetNames;
+
+  if (sheetNames.length === 0) {
+    throw new Error('Workbook contains no worksheets');
+  }
+
+  let sheetName = options.sheetName;
+
+  if (sheetName && !sheetNames.includes(sheetName)) {
+    const error = new Error(`Worksheet '${sheetName}' not found. Available worksheets: ${sheetNames.join(', ')}`);
+    error.sheetNames = sheetNames;
+    throw error;
+  }
+
+  if (!sheetName) {
+    sheetName = sheetNames.find(name => {
+      const [headerRow = []] = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1 });
+      return headerRow.some(header => String(header).trim().toLowerCase() === 'handle');
+    }) || sheetNames[0];
+  }
+
+  console.log(`Reading worksheet '${sheetName}' (${sheetNames.length} worksheets in workbook)`);
+
+  return {
+    rows: sheetToRows(workbook.Sheets[sheetName]),
+    sheetName,
+    sheetNames
+  };
+}
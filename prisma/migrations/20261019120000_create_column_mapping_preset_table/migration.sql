@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "ColumnMappingPreset" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "headerSignature" TEXT NOT NULL,
+    "mapping" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "ColumnMappingPreset_shop_headerSignature_idx" ON "ColumnMappingPreset"("shop", "headerSignature");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ColumnMappingPreset_shop_name_key" ON "ColumnMappingPreset"("shop", "name");
@@ -1,5 +1,22 @@
 // Simple test script for CSV processor functions
-import { validateCSVData, groupDataByHandle, validateMetafieldValue, formatMetafieldValue, detectCSVFormat } from './app/utils/csvProcessor.js';
+import { validateCSVData, groupDataByHandle, validateMetafieldValue, formatMetafieldValue, detectCSVFormat, parseCSV, readFileHeaders, STREAMING_THRESHOLD_BYTES } from './app/utils/csvProcessor.js';
+import { normalizeCASNumber, findCASConflicts } from './app/utils/casNumber.js';
+import { normalizeQuantity, normalizeUnitPacks, UNIT_NORMALIZATION_DEFAULTS } from './app/utils/unitNormalizer.js';
+import { parseComponents } from './app/utils/componentsParser.js';
+import { planTagChanges, CSV_IMPORT_TAG } from './app/utils/tagMode.js';
+import { planCollectionChanges } from './app/utils/collectionMode.js';
+import { detectEncoding, ENCODINGS } from './app/utils/encodingDetector.js';
+import { buildProductFields } from './app/utils/productFields.js';
+
+// Compare a result with the expected value and fail the run on a mismatch
+function check(label, actual, expected) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${label}`);
+  } else {
+    console.log(`❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    process.exitCode = 1;
+  }
+}
 
 // Test data for metafields
 const metafieldTestData = [
@@ -36,7 +53,7 @@ const productTestData = [
     Type: 'Snowboard',
     Tags: 'winter,sports',
     Published: 'true',
-    'Components (product.metafields.custom.components)': 'comp1,comp2'
+    'Components (product.metafields.custom.components)': 'comp1; comp2'
   },
   {
     Handle: 'blue-snowboard',
@@ -88,6 +105,16 @@ try {
   console.log('❌ Unexpected error:', error.message);
 }
 
+console.log('\nTesting comma-separated components...');
+
+try {
+  validateCSVData([{ Handle: 'red-snowboard', 'Components (product.metafields.custom.components)': 'comp1,comp2' }]);
+  console.log('❌ Comma-separated components were accepted');
+  process.exitCode = 1;
+} catch (error) {
+  console.log('✅ Comma-separated components rejected:', error.message.split('\n')[1]);
+}
+
 // Test value validation
 console.log('\nTesting value validation...');
 console.log('Integer "123":', validateMetafieldValue('123', 'number_integer'));
@@ -104,4 +131,116 @@ console.log('Boolean "1":', formatMetafieldValue('1', 'boolean'));
 console.log('Boolean "false":', formatMetafieldValue('false', 'boolean'));
 console.log('JSON object:', formatMetafieldValue('{"test": "value"}', 'json'));
 
+console.log('\nTesting CAS numbers...');
+check('Valid CAS number', normalizeCASNumber('7439-92-1'), { cas: '7439-92-1' });
+check('Dashes and spaces are normalized', normalizeCASNumber('7439 – 92 – 1').cas, '7439-92-1');
+check('Wrong check digit is rejected', Boolean(normalizeCASNumber('7439-92-2').error), true);
+check('Malformed CAS number is rejected', Boolean(normalizeCASNumber('7439-9-21').error), true);
+check('Component names sharing a CAS number conflict', findCASConflicts([
+  { row: 1, cas: '7439-92-1', name: 'Lead' },
+  { row: 2, cas: '7439-92-1', name: 'lead' },
+  { row: 3, cas: '7439-92-1', name: 'Cadmium' }
+]), ["CAS 7439-92-1 is used for different names: 'Lead' (row 1, 2), 'Cadmium' (row 3)"]);
+check('Product titles sharing a CAS number are not compared', validateCSVData([
+  { Handle: 'lead-1000', Title: 'Lead 1000 μg/mL', 'CAS Number': '7439-92-1', 'Components (product.metafields.custom.components)': 'Lead | 1000 μg/mL | | 7439-92-1' },
+  { Handle: 'lead-10', Title: 'Lead 10 μg/mL', 'CAS Number': '7439-92-1', 'Components (product.metafields.custom.components)': 'Lead | 10 μg/mL | | 7439-92-1' }
+]).warnings, []);
+
+console.log('\nTesting unit normalization...');
+check('Concentration', normalizeQuantity('1,000 ug/ml', ['concentration'], UNIT_NORMALIZATION_DEFAULTS), { value: '1000 μg/mL' });
+check('Micro sign is written as Greek mu', normalizeQuantity('10 \u00b5g/mL', ['concentration'], UNIT_NORMALIZATION_DEFAULTS), { value: '10 \u03bcg/mL' });
+check('mcg is written as Greek mu', normalizeQuantity('5 mcg/mL', ['concentration'], UNIT_NORMALIZATION_DEFAULTS), { value: '5 \u03bcg/mL' });
+check('Concentration to mg/L', normalizeQuantity('1 mg/mL', ['concentration'], { ...UNIT_NORMALIZATION_DEFAULTS, concentration: 'mg/L' }), { value: '1000 mg/L' });
+check('Volume', normalizeQuantity('0.5 L', ['volume'], UNIT_NORMALIZATION_DEFAULTS), { value: '500 mL' });
+check('Pack count is kept', normalizeUnitPacks('5 x 1 g', UNIT_NORMALIZATION_DEFAULTS), { value: '5 x 1000 mg' });
+check('Unknown unit is rejected', Boolean(normalizeQuantity('1 furlong', ['volume'], UNIT_NORMALIZATION_DEFAULTS).error), true);
+
+console.log('\nTesting components parsing...');
+check('Shorthand', parseComponents('Lead | 1000 μg/mL | 2% HNO3 | 7439-92-1; Cadmium').components, [
+  { component: 'Lead', concentration: '1000 μg/mL', matrix: '2% HNO3', cas: '7439-92-1' },
+  { component: 'Cadmium' }
+]);
+check('JSON', parseComponents('[{"component":"Lead","cas":"7439-92-1"}]').components, [{ component: 'Lead', cas: '7439-92-1' }]);
+check('Plain-name JSON list is converted and counted', parseComponents('["Lead","Cadmium"]'), {
+  components: [{ component: 'Lead' }, { component: 'Cadmium' }],
+  errors: [],
+  converted: 2
+});
+check('Comma inside a chemical name is kept', parseComponents('2,4-Dinitrophenol').components, [{ component: '2,4-Dinitrophenol' }]);
+check('Comma-separated names are rejected', parseComponents('comp1,comp2').errors.length, 1);
+check('Name cut off at a comma is rejected', parseComponents('1').errors.length, 1);
+check('Bad component CAS is rejected', parseComponents('Lead | | | 7439-92-2').errors.length, 1);
+check('Unknown JSON field is rejected', parseComponents('[{"component":"Lead","purity":"99%"}]').errors.length, 1);
+
+console.log('\nTesting tag plans...');
+check('Merge adds and removes listed tags', planTagChanges(['Sale', 'old'], 'new, -OLD', 'merge'), {
+  add: ['new', CSV_IMPORT_TAG],
+  remove: ['old'],
+  tags: ['Sale', 'new', CSV_IMPORT_TAG]
+});
+check('Replace removes unlisted tags', planTagChanges(['Sale', 'old'], 'sale', 'replace').remove, ['old']);
+check('Empty cell never clears tags', planTagChanges(['Sale'], '', 'replace').remove, []);
+
+console.log('\nTesting collection plans...');
+const sale = { id: 'gid://shopify/Collection/1', title: 'Sale' };
+const clearance = { id: 'gid://shopify/Collection/2', title: 'Clearance' };
+const smart = { id: 'gid://shopify/Collection/3', title: 'New', ruleSet: { appliedDisjunctively: false } };
+check('Merge joins and leaves', planCollectionChanges([clearance], { join: [sale], leave: [clearance], replace: false }), {
+  add: [sale],
+  remove: [clearance]
+});
+check('Replace keeps smart collections', planCollectionChanges([clearance, smart], { join: [sale], leave: [], replace: true }), {
+  add: [sale],
+  remove: [clearance]
+});
+
+console.log('\nTesting encoding detection...');
+check('UTF-8 BOM', detectEncoding(Buffer.from([0xEF, 0xBB, 0xBF, 0x61])), { encoding: ENCODINGS.UTF8, bom: true });
+check('UTF-8', detectEncoding(Buffer.from('Handle,Title\nlead,Blei – Lösung\n')).encoding, ENCODINGS.UTF8);
+check('Windows-1252', detectEncoding(Buffer.from('Handle,Title\nlead,Blei L\xf6sung\n', 'latin1')).encoding, ENCODINGS.WINDOWS_1252);
+check('UTF-16LE without BOM', detectEncoding(Buffer.from('Handle,Title\n', 'utf16le')).encoding, ENCODINGS.UTF16LE);
+
+console.log('\nTesting metafield value formatting...');
+check('Volume', formatMetafieldValue('1 mL', 'volume'), '{"value":1,"unit":"MILLILITERS"}');
+check('Weight', formatMetafieldValue('2.5 kg', 'weight'), '{"value":2.5,"unit":"KILOGRAMS"}');
+check('Integer list', formatMetafieldValue('1; 2', 'list.number_integer'), '[1,2]');
+check('Text list', formatMetafieldValue('red;blue', 'list.single_line_text_field'), '["red","blue"]');
+
+console.log('\nTesting built-in metafield columns...');
+const definitions = new Map([
+  ['custom.volume', { namespace: 'custom', key: 'volume', type: { name: 'volume' } }],
+  ['custom.dot_hazardous', { namespace: 'custom', key: 'dot_hazardous', type: { name: 'boolean' } }]
+]);
+check('Built-in columns are formatted for their definition type', buildProductFields({ row: 1, volume: '1 mL', dotHazardous: '1', expirationMonths: '24' }, definitions).metafields, [
+  { namespace: 'custom', key: 'volume', value: '{"value":1,"unit":"MILLILITERS"}', type: 'volume' },
+  { namespace: 'custom', key: 'dot_hazardous', value: 'true', type: 'boolean' },
+  { namespace: 'custom', key: 'expiration_months', value: '24', type: 'number_integer' }
+]);
+check('Built-in columns without a definition stay text', buildProductFields({ row: 1, volume: '1 mL' }).metafields, [
+  { namespace: 'custom', key: 'volume', value: '1 mL', type: 'single_line_text_field' }
+]);
+
+console.log('\nTesting other metafield columns...');
+const gradeRows = [{ Handle: 'lead-1000', 'custom.grade': 'ACS', 'Size.mm': '10' }];
+check('namespace.key header with a definition is a metafield column', validateCSVData(gradeRows, { definitionKeys: ['custom.grade'] }).data[0].metafields, [
+  { namespace: 'custom', key: 'grade', type: null, label: null, value: 'ACS' }
+]);
+check('namespace.key header without a definition is left alone', detectCSVFormat(gradeRows), 'unknown');
+check('namespace.key:type header needs no definition', validateCSVData([{ Handle: 'lead-1000', 'custom.grade:single_line_text_field': 'ACS' }]).data[0].metafields, [
+  { namespace: 'custom', key: 'grade', type: 'single_line_text_field', label: null, value: 'ACS' }
+]);
+
+console.log('\nTesting large JSON array preview...');
+const largeRows = Array.from({ length: 70000 }, (_, i) => ({ Handle: `h-${i}`, Title: `Product number ${i} with a long enough title to pad the file out`, Vendor: 'Acme' }));
+const largeFile = new File([JSON.stringify(largeRows)], 'large.json');
+check('JSON file is over the streaming threshold', largeFile.size > STREAMING_THRESHOLD_BYTES, true);
+try {
+  const preview = await parseCSV(largeFile, { preview: true });
+  check('Preview reads the JSON array', [preview.data.format, preview.data.data[0].handle], ['products', 'h-0']);
+  check('Headers are read from the JSON array', (await readFileHeaders(largeFile)).headers, ['Handle', 'Title', 'Vendor']);
+} catch (error) {
+  console.log('❌ Large JSON array failed:', error.message);
+  process.exitCode = 1;
+}
+
 console.log('\n✅ All tests completed!');